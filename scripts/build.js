@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// Static site build
+// Pre-renders every service, portfolio and CMS page plus the homepage grids into dist/,
+// so the site works without client-side content loading. The default locale is
+// built at the root, other locales under /<locale>/. Pages get JSON-LD and Open
+// Graph tags (src/js/seo.js); sitemap.xml and robots.txt come from scripts/sitemap.js,
+// the search index from scripts/search-index.js, responsive image variants from
+// scripts/images.js.
+//
+// Usage: npm run build
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, I18n, Seo, Template, Bindings, ContentValidator, createLoader } = require('./lib/node-loader');
+const { writeManifests } = require('./manifest');
+const { writeSitemap } = require('./sitemap');
+const { writeSearchIndex } = require('./search-index');
+const { writeImages } = require('./images');
+
+const OUT_DIR = path.join(ROOT, 'dist');
+
+// Copied to dist/ as-is; service.html/project.html/page.html answer old ?slug= links
+// and are the router's shells for URLs without a page (netlify.toml)
+const STATIC_ENTRIES = ['admin', 'assets', 'content', 'src', 'service.html', 'project.html', 'page.html', 'thanks.html', 'estimate.html', 'sw.js'];
+
+const DETAIL_PAGES = {
+    services: { template: 'service.html', section: 'service-detail', render: 'createServiceDetail' },
+    portfolio: { template: 'project.html', section: 'project-detail', render: 'createProjectDetail' },
+    pages: { template: 'page.html', section: 'page-detail', render: 'createPageDetail' }
+};
+
+// Pages are written to /<slug>/, so these slugs would collide with the site itself
+const RESERVED_SLUGS = [...Object.keys(DETAIL_PAGES), ...Object.keys(I18n.locales), ...STATIC_ENTRIES, 'index.html'];
+
+// <html lang> for the page's locale, hreflang links to its translations, SEO tags
+// and data-cms bindings filled from the settings
+function markPrerendered(html, loader, pagePath, settings, seo = '') {
+    const siteUrl = (settings.site_url || '').replace(/\/$/, '');
+    const alternates = Object.keys(I18n.locales)
+        .map(locale => [locale, I18n.localizePath(pagePath, locale)])
+        .concat([['x-default', pagePath]])
+        .map(([hreflang, href]) => Template.html`<link rel="alternate" hreflang="${hreflang}" href="${siteUrl + href}" data-static>`)
+        .join('\n    ');
+
+    return Bindings.renderHtml(html, { settings })
+        .replace(/<html lang="ru">/, () => `<html lang="${loader.locale}" data-prerendered="true">`)
+        .replace(/<\/head>/, () => `    ${[alternates, seo].filter(Boolean).join('\n    ')}\n</head>`);
+}
+
+// CMS pages marked show_in_menu go after the built-in links of every <ul data-menu>
+function renderMenus(html, menuItems) {
+    return html.replace(/(<ul[^>]*data-menu="[^"]*"[^>]*>)([\s\S]*?)(<\/ul>)/g,
+        (match, open, links, close) => `${open}${links}${menuItems.join('')}${close}`);
+}
+
+function renderShell(loader, template, { title, description, settings, pagePath, menuItems, seo }) {
+    const copyright = loader.t('common.rights', { year: new Date().getFullYear(), site: settings.site_title || 'АСБ РУМ ПРО' });
+    const socialLinks = loader.createSocialLinks(settings).join('\n                        ');
+
+    return renderMenus(markPrerendered(template, loader, pagePath, settings, seo), menuItems)
+        .replace(/<title>[\s\S]*?<\/title>/, () => `<title>${Template.escape(title)}</title>`)
+        .replace(/(<meta name="description" content=")[^"]*(")/, (match, open, close) => `${open}${Template.escape(description)}${close}`)
+        .replace(/(<div class="social-links">)[\s\S]*?(<\/div>)/, (match, open, close) => `${open}\n                        ${socialLinks}\n                    ${close}`)
+        .replace(/(<div class="footer-bottom">\s*<p>)[\s\S]*?(<\/p>)/, (match, open, close) => `${open}${Template.escape(copyright)}${close}`);
+}
+
+function renderDetailPage(loader, template, config, item, related, settings, menuItems) {
+    const seo = Seo.forItem(loader, item, settings);
+    const html = renderShell(loader, template, {
+        title: seo.title,
+        description: seo.description,
+        settings,
+        // Locale prefixes are added per alternate link
+        pagePath: I18n.localizePath(loader.getItemUrl(item.collection, item.slug), I18n.defaultLocale),
+        menuItems,
+        seo: Seo.render(seo)
+    });
+
+    const sectionPattern = new RegExp(`(<section class="${config.section}">\\s*<div class="container">)[\\s\\S]*?(</div>\\s*</section>)`);
+    return html.replace(sectionPattern, (match, open, close) => `${open}${loader[config.render](item, related)}${close}`);
+}
+
+function renderHomepage(loader, template, { services, portfolio, reviews, team }, settings, menuItems) {
+    const siteUrl = settings.site_url || '';
+    const seo = Seo.render({
+        meta: Seo.meta({
+            title: loader.t('meta.title'),
+            description: loader.t('meta.description'),
+            url: Seo.absolute(loader.getHomeUrl(), siteUrl),
+            image: Seo.absolute(settings.og_image, siteUrl),
+            siteName: settings.site_title,
+            locale: loader.locale
+        }),
+        jsonLd: [Seo.organization(settings, { siteUrl, services, locale: loader.locale })]
+    });
+
+    return renderMenus(markPrerendered(template, loader, '/', settings, seo), menuItems)
+        .replace(/(<div class="services-grid" id="servicesGrid">)[\s\S]*?(<\/div>)/,
+            (match, open, close) => `${open}${services.map(service => loader.createServiceCard(service)).join('')}${close}`)
+        .replace(/(<div class="portfolio-scroll" id="portfolioGrid">)[\s\S]*?(<\/div>)/,
+            (match, open, close) => `${open}${portfolio.map(project => loader.createPortfolioItem(project)).join('')}${close}`)
+        .replace(/(<div class="reviews-track" id="reviewsTrack"[^>]*>)[\s\S]*?(<\/div>)/,
+            (match, open, close) => `${open}${reviews.map(review => loader.createReviewItem(review)).join('')}${close}`)
+        .replace(/(<div class="team-grid" id="teamGrid">)[\s\S]*?(<\/div>)/,
+            (match, open, close) => `${open}${team.map(member => loader.createTeamMember(member)).join('')}${close}`)
+        .replace(/(<section id="team" class="team") hidden>/, (match, open) => (team.length ? `${open}>` : match));
+}
+
+function writePage(relativePath, html) {
+    const target = path.join(OUT_DIR, relativePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, html);
+    console.log(`  ${relativePath}`);
+}
+
+async function build() {
+    // Keep content/<collection>/index.json in sync before anything reads it
+    await writeManifests();
+
+    fs.rmSync(OUT_DIR, { recursive: true, force: true });
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+
+    STATIC_ENTRIES.forEach(entry => {
+        fs.cpSync(path.join(ROOT, entry), path.join(OUT_DIR, entry), { recursive: true });
+    });
+
+    console.log('Resizing images:');
+    const { manifest: images, written } = await writeImages(OUT_DIR);
+    written.forEach(line => console.log(`  ${line}`));
+
+    console.log('Pre-rendering pages:');
+
+    // Files that failed to parse are left out of the pages; the loader logs each one
+    const skipped = new Set();
+
+    for (const locale of Object.keys(I18n.locales)) {
+        const loader = createLoader({ prettyUrls: true, locale, images });
+        const settings = (await loader.loadSettings()) || {};
+        const prefix = locale === I18n.defaultLocale ? '' : locale;
+        const menuItems = loader.createMenuItems(await loader.loadMenu());
+
+        const collections = {};
+        for (const [collection, config] of Object.entries(DETAIL_PAGES)) {
+            const template = fs.readFileSync(path.join(ROOT, config.template), 'utf8');
+            const { items } = await loader.query(collection);
+
+            for (const item of items) {
+                if (collection === 'pages' && RESERVED_SLUGS.includes(item.slug)) {
+                    console.warn(`  Skipping page "${item.slug}": the slug is reserved`);
+                    continue;
+                }
+                const url = decodeURIComponent(loader.getItemUrl(collection, item.slug)).slice(1);
+                const related = await loader.getRelated(collection, item.slug);
+                writePage(path.join(url, 'index.html'), renderDetailPage(loader, template, config, item, related, settings, menuItems));
+            }
+
+            collections[collection] = items;
+        }
+
+        // Homepage-only collections
+        for (const collection of ['reviews', 'team']) {
+            collections[collection] = (await loader.query(collection)).items;
+        }
+
+        const homepage = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+        writePage(path.join(prefix, 'index.html'), renderHomepage(loader, homepage, collections, settings, menuItems));
+
+        loader.diagnostics.forEach(diagnostic => skipped.add(diagnostic.file));
+    }
+
+    if (skipped.size) {
+        console.warn(`Skipped ${skipped.size} content file(s) that failed to parse:`);
+        skipped.forEach(file => console.warn(`  ${file}`));
+    }
+
+    // Links to renamed or deleted entries are left out of the pages
+    const dangling = await createLoader().findDanglingReferences();
+    if (dangling.length) {
+        console.warn(`Left out ${dangling.length} link(s) to missing entries:`);
+        dangling.forEach(issue => console.warn(`  ${ContentValidator.format(issue)}`));
+    }
+
+    (await writeSitemap(OUT_DIR, RESERVED_SLUGS)).forEach(file => console.log(`  ${file}`));
+    (await writeSearchIndex(OUT_DIR, RESERVED_SLUGS)).forEach(file => console.log(`  ${file}`));
+
+    console.log(`Done: ${path.relative(ROOT, OUT_DIR)}/`);
+}
+
+build().catch(error => {
+    console.error('Build failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+// Responsive images
+// Resizes every image in the CMS media_folder (admin/config.yml) to AVIF and
+// WebP variants, plus a tiny blurred WebP inlined as its placeholder, and
+// writes them to dist/ with a manifest CMSLoader renders <picture> srcsets
+// from (CMSLoader.createImage). Variant names carry a hash of the source, so
+// they can be cached forever; encoded files are kept in
+// node_modules/.cache/ between builds. Runs as part of npm run build.
+//
+// Usage: npm run images          (writes dist/)
+//        npm run images -- --placeholder   (recreates assets/images/placeholder.jpg)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadCmsConfig } = require('./lib/node-loader');
+
+const WIDTHS = [480, 960, 1600];
+// In <source> order: browsers take the first type they support
+const FORMATS = [
+    { type: 'image/avif', extension: 'avif', options: { quality: 50 } },
+    { type: 'image/webp', extension: 'webp', options: { quality: 75 } }
+];
+const PLACEHOLDER_WIDTH = 16;
+const EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.tif', '.tiff'];
+
+const CACHE_DIR = path.join(ROOT, 'node_modules', '.cache', 'asb-images');
+// Under /content/ so it is revalidated like the rest of the content (netlify.toml, sw.js)
+const MANIFEST_PATH = '/content/images.json';
+const VARIANTS_DIR = 'responsive';
+
+// The fallback for projects without a photo: the hero gradient and a gold house outline
+const PLACEHOLDER_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="1600" height="1067" viewBox="0 0 1600 1067">
+    <defs>
+        <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+            <stop offset="0" stop-color="#1a1a1a"/>
+            <stop offset="1" stop-color="#2d2d2d"/>
+        </linearGradient>
+    </defs>
+    <rect width="1600" height="1067" fill="url(#bg)"/>
+    <g fill="none" stroke="#c9a962" stroke-width="12" stroke-linejoin="round" opacity="0.8">
+        <path d="M620 560 L800 400 L980 560"/>
+        <path d="M660 525 V700 H940 V525"/>
+        <path d="M760 700 V610 H840 V700"/>
+    </g>
+</svg>`;
+
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        throw new Error('Image variants need the sharp package: run npm install');
+    }
+}
+
+function mediaFolders() {
+    const config = loadCmsConfig();
+    return {
+        mediaDir: path.join(ROOT, config.media_folder),
+        publicFolder: config.public_folder.replace(/\/$/, '')
+    };
+}
+
+function walk(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return entry.name === VARIANTS_DIR ? [] : walk(fullPath);
+        }
+        return EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+    });
+}
+
+// Widths below the original, and the original itself when it is smaller than the largest
+function widthsFor(width) {
+    const widths = WIDTHS.filter(candidate => candidate < width);
+    const largest = Math.min(width, WIDTHS[WIDTHS.length - 1]);
+    return widths.includes(largest) ? widths : [...widths, largest];
+}
+
+// Encodes into the cache unless an earlier build already did
+async function cachedVariant(sharp, source, name, encode) {
+    const cached = path.join(CACHE_DIR, name);
+    if (!fs.existsSync(cached)) {
+        fs.mkdirSync(path.dirname(cached), { recursive: true });
+        await encode(sharp(source)).toFile(cached);
+    }
+    return cached;
+}
+
+// Manifest entry for one image; variant files are copied into outDir
+async function processImage(sharp, file, { mediaDir, publicFolder, outDir }) {
+    const relative = path.relative(mediaDir, file).split(path.sep).join('/');
+    const source = fs.readFileSync(file);
+    const hash = crypto.createHash('sha1').update(source).digest('hex').slice(0, 8);
+    const base = relative.replace(/\.[^.]+$/, '');
+    // EXIF rotation is applied to the variants, so the stored size is the upright one
+    const metadata = await sharp(source).metadata();
+    const rotated = (metadata.orientation || 1) >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const sources = [];
+    for (const format of FORMATS) {
+        const variants = [];
+        for (const size of widthsFor(width)) {
+            const name = `${base}-${hash}-${size}.${format.extension}`;
+            const cached = await cachedVariant(sharp, source, name, image =>
+                image.rotate().resize({ width: size })[format.extension](format.options));
+            const target = path.join(outDir, VARIANTS_DIR, name);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(cached, target);
+            variants.push(`${publicFolder}/${VARIANTS_DIR}/${encodeURI(name)} ${size}w`);
+        }
+        sources.push({ type: format.type, srcset: variants.join(', ') });
+    }
+
+    const blurred = await cachedVariant(sharp, source, `${base}-${hash}-placeholder.webp`, image =>
+        image.rotate().resize({ width: PLACEHOLDER_WIDTH }).blur().webp({ quality: 40 }));
+
+    // Keyed by the path as the CMS writes it into content
+    return [`${publicFolder}/${relative}`, {
+        width,
+        height,
+        placeholder: `data:image/webp;base64,${fs.readFileSync(blurred).toString('base64')}`,
+        sources
+    }];
+}
+
+// Writes the variants under <outDir><public_folder>/responsive/ and the
+// manifest to <outDir>/content/images.json; returns the files written.
+// The folders default to the CMS media folder (admin/config.yml).
+async function writeImages(outDir, { mediaDir, publicFolder } = mediaFolders()) {
+    const sharp = loadSharp();
+    const imagesDir = path.join(outDir, publicFolder);
+    const manifest = {};
+
+    for (const file of walk(mediaDir)) {
+        try {
+            const [url, entry] = await processImage(sharp, file, { mediaDir, publicFolder, outDir: imagesDir });
+            manifest[url] = entry;
+        } catch (error) {
+            console.warn(`  Skipping ${path.relative(ROOT, file)}: ${error.message}`);
+        }
+    }
+
+    const manifestFile = path.join(outDir, MANIFEST_PATH);
+    fs.mkdirSync(path.dirname(manifestFile), { recursive: true });
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest));
+
+    return { manifest, written: [path.relative(outDir, manifestFile), `${Object.keys(manifest).length} image(s)`] };
+}
+
+// assets/images/placeholder.jpg, the image CMSLoader shows for projects without one
+async function writePlaceholder() {
+    const { mediaDir } = mediaFolders();
+    const target = path.join(mediaDir, 'placeholder.jpg');
+    await loadSharp()(Buffer.from(PLACEHOLDER_SVG)).jpeg({ quality: 80, mozjpeg: true }).toFile(target);
+    return target;
+}
+
+module.exports = { writeImages, writePlaceholder, widthsFor, MANIFEST_PATH };
+
+if (require.main === module) {
+    const task = process.argv.includes('--placeholder')
+        ? writePlaceholder().then(file => [path.relative(ROOT, file)])
+        : writeImages(path.join(ROOT, 'dist')).then(({ written }) => written);
+
+    task
+        .then(written => written.forEach(line => console.log(`  ${line}`)))
+        .catch(error => {
+            console.error('Image processing failed:', error.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,32 @@
+// CMSLoader wired up for Node scripts: reads content from the checkout
+// instead of over HTTP. Only needs Node itself; the Markdown and YAML
+// parsers are the bundled copies in src/js/vendor/.
+
+const fs = require('fs');
+const path = require('path');
+
+// cms-loader.js expects the globals the browser gets from script tags
+global.Template = require('../../src/js/template.js');
+global.I18n = require('../../src/js/i18n.js');
+global.Bindings = require('../../src/js/bindings.js');
+
+const { FsFetcher, CMSParsers } = require('../../src/js/cms-adapters.js');
+const CMSLoader = require('../../src/js/cms-loader.js');
+const ContentValidator = require('../../src/js/content-validator.js');
+const Seo = require('../../src/js/seo.js');
+const { SearchIndex } = require('../../src/js/search.js');
+
+// Picked up by CMSLoader.validateContent() instead of loading the script tag
+global.ContentValidator = ContentValidator;
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+function createLoader(options = {}) {
+    return new CMSLoader({ fetcher: new FsFetcher(ROOT), ...options });
+}
+
+function loadCmsConfig() {
+    return CMSParsers.yaml(fs.readFileSync(path.join(ROOT, 'admin', 'config.yml'), 'utf8'));
+}
+
+module.exports = { ROOT, CMSLoader, ContentValidator, Seo, SearchIndex, FsFetcher, CMSParsers, Template: global.Template, I18n: global.I18n, Bindings: global.Bindings, createLoader, loadCmsConfig };
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+// Content manifests
+// Writes content/<collection>/index.json for every folder collection in
+// admin/config.yml, so the browser can list a collection without relying on
+// the server's directory listing (Netlify doesn't serve one).
+//
+// Also writes content/version.json, a hash of all content files: browsers
+// purge their cached content when it changes.
+//
+// Usage: npm run manifest   (also runs as part of npm run build)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ROOT, createLoader, loadCmsConfig } = require('./lib/node-loader');
+
+// Last commit date is stable across clones; fall back to the file's mtime
+// for files that aren't committed yet.
+function getModifiedTime(filePath) {
+    try {
+        const date = execFileSync('git', ['log', '-1', '--format=%cI', '--', filePath], {
+            cwd: ROOT,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).trim();
+        if (date) {
+            return new Date(date).toISOString();
+        }
+    } catch (error) {
+        // Not a git checkout
+    }
+    return fs.statSync(filePath).mtime.toISOString();
+}
+
+// Only scalar frontmatter goes into the manifest; lists, objects and bodies
+// stay in the Markdown files.
+function pickSummaryFields(frontmatter) {
+    const summary = {};
+    Object.entries(frontmatter || {}).forEach(([key, value]) => {
+        if (key === 'body' || value === null || value === undefined) {
+            return;
+        }
+        if (value instanceof Date) {
+            summary[key] = value.toISOString().slice(0, 10);
+        } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+            summary[key] = value;
+        }
+    });
+    return summary;
+}
+
+async function buildManifest(loader, collection) {
+    const folder = path.join(ROOT, collection.folder);
+    const extension = `.${collection.extension || 'md'}`;
+    const files = fs.readdirSync(folder).filter(file => file.endsWith(extension)).sort();
+
+    const items = [];
+    for (const file of files) {
+        const filePath = path.join(folder, file);
+        const parsed = loader.parseFrontmatter(fs.readFileSync(filePath, 'utf8'));
+
+        items.push({
+            ...pickSummaryFields(parsed.frontmatter),
+            slug: path.basename(file, extension),
+            file,
+            mtime: getModifiedTime(filePath)
+        });
+    }
+
+    return {
+        collection: collection.name,
+        items
+    };
+}
+
+function listContentFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        return entry.isDirectory() ? listContentFiles(fullPath) : [fullPath];
+    });
+}
+
+// Derived files are left out so the version only moves when content does
+function buildContentVersion() {
+    const contentDir = path.join(ROOT, 'content');
+    const hash = crypto.createHash('sha1');
+
+    listContentFiles(contentDir)
+        .filter(file => !['index.json', 'version.json'].includes(path.basename(file)))
+        .sort()
+        .forEach(file => {
+            hash.update(path.relative(contentDir, file));
+            hash.update(fs.readFileSync(file));
+        });
+
+    return hash.digest('hex').slice(0, 12);
+}
+
+async function writeManifests() {
+    const loader = createLoader();
+    const config = loadCmsConfig();
+    const written = [];
+
+    for (const collection of config.collections) {
+        // File collections (settings) have fixed paths and need no manifest
+        if (collection.files || !collection.folder || !fs.existsSync(path.join(ROOT, collection.folder))) {
+            continue;
+        }
+
+        const manifest = await buildManifest(loader, collection);
+        const target = path.join(ROOT, collection.folder, 'index.json');
+        fs.writeFileSync(target, JSON.stringify(manifest, null, 2) + '\n');
+        written.push(path.relative(ROOT, target));
+    }
+
+    const versionFile = path.join(ROOT, 'content', 'version.json');
+    fs.writeFileSync(versionFile, JSON.stringify({ version: buildContentVersion() }, null, 2) + '\n');
+    written.push(path.relative(ROOT, versionFile));
+
+    return written;
+}
+
+module.exports = { buildManifest, buildContentVersion, writeManifests };
+
+if (require.main === module) {
+    writeManifests()
+        .then(written => written.forEach(file => console.log(`  ${file}`)))
+        .catch(error => {
+            console.error('Manifest generation failed:', error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// Search index
+// Writes the site search index (src/js/search.js) for every locale:
+// dist/search-index.json for the default one, dist/<locale>/search-index.json
+// for the rest. Links are the pre-rendered /services/<slug>/ URLs. Runs as
+// part of npm run build.
+//
+// Usage: npm run search-index
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, I18n, SearchIndex, createLoader } = require('./lib/node-loader');
+const { writeManifests } = require('./manifest');
+
+// Pages the build skips (reserved slugs) are left out too
+function buildSearchIndex(locale, excludeSlugs = []) {
+    return SearchIndex.build(createLoader({ prettyUrls: true, locale }), {
+        exclude: (collection, item) => collection === 'pages' && excludeSlugs.includes(item.slug)
+    });
+}
+
+async function writeSearchIndex(outDir, excludeSlugs = []) {
+    const written = [];
+
+    for (const locale of Object.keys(I18n.locales)) {
+        const index = await buildSearchIndex(locale, excludeSlugs);
+        const file = path.relative('/', SearchIndex.url(locale));
+        const target = path.join(outDir, file);
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, JSON.stringify(index));
+        written.push(file);
+    }
+
+    return written;
+}
+
+module.exports = { buildSearchIndex, writeSearchIndex };
+
+if (require.main === module) {
+    writeManifests()
+        .then(() => writeSearchIndex(path.join(ROOT, 'dist')))
+        .then(written => written.forEach(file => console.log(`  dist/${file}`)))
+        .catch(error => {
+            console.error('Search index generation failed:', error);
+            process.exit(1);
+        });
+}
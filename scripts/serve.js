@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+// Development server
+// Serves the checkout (or dist/ with --dist) the way Netlify serves the
+// build: files as they are, /<locale>/ to the homepage, and clean URLs
+// without a file to the router's shell (src/js/router.js), which renders
+// them from content/. Anything else gets page.html with a 404, as in
+// netlify.toml. The content manifests are regenerated on start, as the
+// build does.
+//
+// Usage: npm run serve [-- --port 8000 --dist]
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ROOT, I18n } = require('./lib/node-loader');
+const Router = require('../src/js/router.js');
+const { writeManifests } = require('./manifest');
+
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.yml': 'text/yaml; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon'
+};
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? fallback : process.argv[index + 1];
+}
+
+// The file for a URL path, or null; directories serve their index.html
+function findFile(root, pathname) {
+    const target = path.join(root, pathname);
+    if (!target.startsWith(root)) {
+        return null;
+    }
+
+    const candidates = [target, path.join(target, 'index.html')];
+    return candidates.find(file => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+}
+
+// [file, status] for a request path
+function resolve(root, pathname) {
+    const file = findFile(root, pathname);
+    if (file) {
+        return [file, 200];
+    }
+
+    // /en/ is the homepage in that locale
+    if (I18n.localizePath(pathname, I18n.defaultLocale) === '/') {
+        return [path.join(root, 'index.html'), 200];
+    }
+
+    const match = Router.match(pathname);
+    if (match) {
+        return [path.join(root, match.route.shell), 200];
+    }
+    return [path.join(root, 'page.html'), 404];
+}
+
+function createServer(root) {
+    return http.createServer((request, response) => {
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        } catch (error) {
+            response.writeHead(400);
+            response.end();
+            return;
+        }
+
+        const [file, status] = resolve(root, pathname);
+        fs.readFile(file, (error, data) => {
+            if (error) {
+                response.writeHead(500);
+                response.end();
+                return;
+            }
+            response.writeHead(status, {
+                'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream',
+                'Cache-Control': 'no-cache'
+            });
+            response.end(data);
+        });
+    });
+}
+
+module.exports = { resolve, createServer };
+
+if (require.main === module) {
+    const root = process.argv.includes('--dist') ? path.join(ROOT, 'dist') : ROOT;
+    const port = Number(option('port', 8000));
+
+    // dist/ already has the manifests from the build
+    const manifests = root === ROOT ? writeManifests() : Promise.resolve();
+
+    manifests
+        .then(() => {
+            createServer(root).listen(port, () => {
+                console.log(`Serving ${path.relative(process.cwd(), root) || '.'} at http://localhost:${port}/`);
+            });
+        })
+        .catch(error => {
+            console.error('Manifest generation failed:', error);
+            process.exit(1);
+        });
+}
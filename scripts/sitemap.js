@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+// Sitemap and robots.txt
+// Lists the homepage and every active service, portfolio project and CMS
+// page in each locale, with the last-modified date from the content
+// manifests and hreflang alternates. Runs as part of npm run build and
+// writes into dist/.
+//
+// Usage: npm run sitemap   (writes dist/sitemap.xml and dist/robots.txt)
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, I18n, Template, createLoader } = require('./lib/node-loader');
+const { writeManifests } = require('./manifest');
+
+const COLLECTIONS = ['services', 'portfolio', 'pages'];
+
+// Newest mtime across the default locale's entry and its translation
+async function lastModified(loader, collection, slug) {
+    const dates = [];
+    for (const folder of [collection, loader.getLocalePath(collection)]) {
+        const manifest = await loader.loadManifest(folder);
+        const entry = manifest && manifest.items.find(item => item.slug === slug);
+        if (entry && entry.mtime) {
+            dates.push(entry.mtime);
+        }
+    }
+    return dates.sort().pop();
+}
+
+// [{ path, lastmod, alternates: { ru: path, en: path } }], one per page per locale
+async function collectEntries(excludeSlugs = []) {
+    const entries = [];
+
+    for (const locale of Object.keys(I18n.locales)) {
+        const loader = createLoader({ prettyUrls: true, locale });
+        const pages = [];
+        const alternatesFor = pagePath => Object.fromEntries(
+            Object.keys(I18n.locales).map(code => [code, I18n.localizePath(pagePath, code)])
+        );
+
+        const homepage = loader.getHomeUrl();
+        const dates = [];
+
+        for (const collection of COLLECTIONS) {
+            const { items } = await loader.query(collection);
+            for (const item of items) {
+                if (collection === 'pages' && excludeSlugs.includes(item.slug)) {
+                    continue;
+                }
+                const url = loader.getItemUrl(collection, item.slug);
+                const lastmod = await lastModified(loader, collection, item.slug);
+                dates.push(lastmod);
+                pages.push({ path: url, lastmod, alternates: alternatesFor(url) });
+            }
+        }
+
+        // The homepage lists everything, so it changes whenever anything does
+        entries.push({ path: homepage, lastmod: dates.filter(Boolean).sort().pop(), alternates: alternatesFor(homepage) }, ...pages);
+    }
+
+    return entries;
+}
+
+function buildSitemap(entries, siteUrl) {
+    const { escape } = Template;
+    const base = siteUrl.replace(/\/$/, '');
+
+    const urls = entries.map(entry => {
+        const alternates = Object.entries(entry.alternates || {})
+            .map(([hreflang, href]) => `\n    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escape(base + href)}"/>`)
+            .join('');
+        const lastmod = entry.lastmod ? `\n    <lastmod>${entry.lastmod.slice(0, 10)}</lastmod>` : '';
+        return `  <url>\n    <loc>${escape(base + entry.path)}</loc>${lastmod}${alternates}\n  </url>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+// The admin panel, raw content and ?slug= fallbacks stay out of the index
+function buildRobots(siteUrl) {
+    return [
+        'User-agent: *',
+        'Disallow: /admin/',
+        'Disallow: /content/',
+        'Disallow: /service.html',
+        'Disallow: /project.html',
+        'Disallow: /page.html',
+        'Disallow: /estimate.html',
+        'Disallow: /thanks.html',
+        '',
+        `Sitemap: ${siteUrl.replace(/\/$/, '')}/sitemap.xml`,
+        ''
+    ].join('\n');
+}
+
+async function writeSitemap(outDir, excludeSlugs = []) {
+    const settings = (await createLoader().loadSettings()) || {};
+    if (!settings.site_url) {
+        console.warn('  settings/global.yml has no site_url; sitemap.xml skipped');
+        return [];
+    }
+
+    const entries = await collectEntries(excludeSlugs);
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, 'sitemap.xml'), buildSitemap(entries, settings.site_url));
+    fs.writeFileSync(path.join(outDir, 'robots.txt'), buildRobots(settings.site_url));
+    return ['sitemap.xml', 'robots.txt'];
+}
+
+module.exports = { collectEntries, buildSitemap, buildRobots, writeSitemap };
+
+if (require.main === module) {
+    writeManifests()
+        .then(() => writeSitemap(path.join(ROOT, 'dist')))
+        .then(written => written.forEach(file => console.log(`  dist/${file}`)))
+        .catch(error => {
+            console.error('Sitemap generation failed:', error);
+            process.exit(1);
+        });
+}
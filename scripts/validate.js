@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Content validation
+// Checks every file under content/ against its collection in admin/config.yml:
+// required fields, widget types, select options and unknown keys.
+//
+// Usage: npm run validate   (exits with 1 when there are errors)
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, ContentValidator, createLoader, loadCmsConfig } = require('./lib/node-loader');
+
+const CONTENT_DIR = path.join(ROOT, 'content');
+
+function walk(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        return entry.isDirectory() ? walk(fullPath) : [fullPath];
+    });
+}
+
+// Content files that no collection owns never show up in the CMS or on the site
+function findOrphanFiles(config) {
+    const owned = new Set();
+    const folders = [];
+
+    config.collections.forEach(collection => {
+        if (collection.files) {
+            collection.files.forEach(entry => owned.add(path.normalize(entry.file)));
+        } else if (collection.folder) {
+            folders.push({ folder: path.normalize(collection.folder), extension: `.${collection.extension || 'md'}` });
+        }
+    });
+
+    return walk(CONTENT_DIR)
+        .map(file => path.relative(ROOT, file))
+        .filter(file => /\.(md|ya?ml)$/.test(file))
+        .filter(file => !owned.has(file))
+        .filter(file => !folders.some(entry => path.dirname(file) === entry.folder && file.endsWith(entry.extension)))
+        .map(file => ({ file, field: null, message: 'File does not belong to any collection', severity: 'warning' }));
+}
+
+async function validate() {
+    const loader = createLoader();
+    const config = loadCmsConfig();
+
+    const issues = [
+        ...(await loader.validateContent()),
+        ...findOrphanFiles(config)
+    ];
+
+    issues.forEach(issue => console.log(ContentValidator.format(issue)));
+
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const warnings = issues.length - errors;
+    console.log(`\n${errors} error(s), ${warnings} warning(s)`);
+
+    return errors;
+}
+
+validate()
+    .then(errors => process.exit(errors > 0 ? 1 : 0))
+    .catch(error => {
+        console.error('Validation failed:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,357 @@
+// Analytics
+// Conversion events (calculator use, leads, calls, WhatsApp and social
+// clicks) go through one bus and on to the sinks set in
+// content/settings/analytics.yml: Yandex.Metrika goals, a sendBeacon
+// endpoint or the console. Under 152-ФЗ nothing reaches a sink, and
+// Metrika isn't even loaded, until the visitor accepts the consent banner;
+// events tracked before that wait for the answer and are dropped on refusal.
+
+class Analytics {
+    constructor(settings = {}) {
+        this.storageKey = 'asb-consent';
+        // Merged into every event's params, e.g. { service: 'remont-kvartir' }
+        this.context = {};
+        this.listeners = {};
+        this.pending = [];
+        this.sinks = [];
+        this.started = false;
+        this.configure(settings);
+    }
+
+    configure(settings) {
+        this.settings = { ...Analytics.defaults, ...settings };
+    }
+
+    // Sinks to run, by name; debug adds the console
+    getSinkNames() {
+        const names = [...(this.settings.sinks || [])];
+        if (this.settings.debug && !names.includes('console')) {
+            names.push('console');
+        }
+        return names;
+    }
+
+    // handler(event) for one event name, or '*' for all; returns an unsubscribe function
+    on(name, handler) {
+        this.listeners[name] = [...(this.listeners[name] || []), handler];
+        return () => {
+            this.listeners[name] = this.listeners[name].filter(listener => listener !== handler);
+        };
+    }
+
+    track(name, params = {}) {
+        const event = {
+            name,
+            params: { ...Analytics.pageContext(), ...this.context, ...params },
+            time: new Date().toISOString()
+        };
+
+        [...(this.listeners[name] || []), ...(this.listeners['*'] || [])].forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`Analytics listener for "${name}" failed:`, error);
+            }
+        });
+
+        if (this.started) {
+            this.dispatch(event);
+        } else if (this.getConsent() !== false) {
+            this.pending.push(event);
+        }
+        return event;
+    }
+
+    dispatch(event) {
+        this.sinks.forEach(([name, sink]) => {
+            try {
+                sink.send(event, this.settings);
+            } catch (error) {
+                console.error(`Analytics sink "${name}" failed:`, error);
+            }
+        });
+    }
+
+    // Consent
+
+    // true/false once the visitor has answered this version of the banner, otherwise null
+    getConsent() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return stored && stored.version === this.settings.consent_version ? stored.analytics : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setConsent(granted) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                analytics: granted,
+                version: this.settings.consent_version,
+                date: new Date().toISOString()
+            }));
+        } catch (error) {
+            console.warn('Could not save the consent choice:', error);
+        }
+
+        if (granted) {
+            this.start();
+        } else {
+            this.stop();
+        }
+    }
+
+    needsConsent() {
+        return this.getSinkNames().length > 0 && this.getConsent() === null;
+    }
+
+    // Runs the sinks and sends what was tracked so far; a no-op without consent
+    start() {
+        if (this.started || this.getConsent() !== true) {
+            return;
+        }
+
+        this.sinks = this.getSinkNames()
+            .map(name => {
+                if (!Analytics.sinks[name]) {
+                    console.warn(`Unknown analytics sink: ${name}`);
+                }
+                return [name, Analytics.sinks[name]];
+            })
+            .filter(([, sink]) => sink);
+
+        this.sinks.forEach(([name, sink]) => {
+            if (sink.init) {
+                try {
+                    sink.init(this.settings);
+                } catch (error) {
+                    console.error(`Analytics sink "${name}" failed to start:`, error);
+                }
+            }
+        });
+
+        this.started = true;
+        this.pending.splice(0).forEach(event => this.dispatch(event));
+    }
+
+    // Consent withdrawn: drops queued events and stops the running sinks.
+    // A sink whose stop() returns true keeps tracking on its own (Metrika's
+    // clickmap), so the page reloads without it.
+    stop() {
+        const reload = this.sinks
+            .map(([name, sink]) => {
+                try {
+                    return Boolean(sink.stop && sink.stop(this.settings));
+                } catch (error) {
+                    console.error(`Analytics sink "${name}" failed to stop:`, error);
+                    return true;
+                }
+            })
+            .includes(true);
+
+        this.pending = [];
+        this.sinks = [];
+        this.started = false;
+
+        if (reload) {
+            Analytics.reload();
+        }
+    }
+
+    // Calls, WhatsApp, email and social links anywhere on the page (Analytics.clicks)
+    trackClicks(root = document) {
+        root.addEventListener('click', e => {
+            for (const rule of Analytics.clicks) {
+                const link = e.target.closest(rule.selector);
+                if (link) {
+                    this.track(rule.event, rule.params ? rule.params(link) : { placement: Analytics.placement(link) });
+                    return;
+                }
+            }
+        });
+    }
+
+    // Where on the page a link is: nav, footer, contact, mobile-call, ...
+    static placement(element) {
+        if (element.closest('.mobile-call-btn')) {
+            return 'mobile-call';
+        }
+        const region = element.closest('nav, footer, section, [data-track-placement]');
+        if (!region) {
+            return 'page';
+        }
+        return region.dataset.trackPlacement || region.id || region.tagName.toLowerCase();
+    }
+
+    // Page path plus the service or project being viewed, on both
+    // /service.html?slug= and pre-rendered /services/<slug>/ URLs
+    static pageContext(location = window.location) {
+        const context = { page: location.pathname };
+        const pretty = location.pathname.match(/^(?:\/[a-z]{2})?\/(services|portfolio)\/([^/]+)\/?$/);
+        const fallback = { '/service.html': 'services', '/project.html': 'portfolio' }[location.pathname];
+        const collection = pretty ? pretty[1] : fallback;
+        const slug = pretty ? decodeURIComponent(pretty[2]) : new URLSearchParams(location.search).get('slug');
+
+        if (collection && slug) {
+            context[collection === 'services' ? 'service' : 'project'] = slug;
+        }
+        if (typeof I18n !== 'undefined') {
+            context.locale = I18n.locale;
+        }
+        return context;
+    }
+}
+
+// First matching rule wins, so WhatsApp links among the social ones count as WhatsApp
+Analytics.clicks = [
+    { selector: 'a[href^="tel:"]', event: 'phone_click' },
+    { selector: 'a[href*="wa.me/"], a[href*="whatsapp.com"]', event: 'whatsapp_click' },
+    { selector: 'a[href^="mailto:"]', event: 'email_click' },
+    {
+        selector: '.social-links a',
+        event: 'social_click',
+        params: link => ({ network: link.getAttribute('aria-label') || link.hostname, placement: Analytics.placement(link) })
+    }
+];
+
+// After consent is withdrawn from a sink that cannot stop in place; replaced in tests
+Analytics.reload = () => window.location.reload();
+
+// Each sink gets every event; init() runs once consent is given, stop()
+// when it is withdrawn
+Analytics.sinks = {
+    // Goals are the event names; tag.js is only requested after consent
+    metrika: {
+        init(settings) {
+            if (!settings.metrika_id) return;
+
+            window.ym = window.ym || function () {
+                (window.ym.a = window.ym.a || []).push(arguments);
+            };
+            window.ym.l = Date.now();
+
+            const script = document.createElement('script');
+            script.async = true;
+            script.src = 'https://mc.yandex.ru/metrika/tag.js';
+            document.head.appendChild(script);
+
+            window.ym(settings.metrika_id, 'init', { clickmap: true, trackLinks: true, accurateTrackBounce: true });
+        },
+
+        send(event, settings) {
+            if (settings.metrika_id && window.ym) {
+                window.ym(settings.metrika_id, 'reachGoal', event.name, event.params);
+            }
+        },
+
+        // tag.js has no way to switch clickmap and link tracking off once
+        // they run; its opt-out flag keeps the counter from collecting, and
+        // the reload drops the script
+        stop(settings) {
+            if (!settings.metrika_id || !window.ym) return false;
+
+            window[`disableYaCounter${settings.metrika_id}`] = true;
+            return true;
+        }
+    },
+
+    // POSTs the event as JSON; sendBeacon survives the redirect after a lead
+    beacon: {
+        send(event, settings) {
+            if (!settings.beacon_endpoint) return;
+
+            const body = JSON.stringify(event);
+            const sent = navigator.sendBeacon
+                && navigator.sendBeacon(settings.beacon_endpoint, new Blob([body], { type: 'application/json' }));
+            if (!sent) {
+                fetch(settings.beacon_endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    keepalive: true
+                }).catch(error => console.warn('Analytics beacon failed:', error));
+            }
+        }
+    },
+
+    console: {
+        send(event) {
+            console.info(`[analytics] ${event.name}`, event.params);
+        }
+    }
+};
+
+// Mirrors content/settings/analytics.yml for when it can't be loaded
+Analytics.defaults = {
+    sinks: [],
+    metrika_id: '',
+    beacon_endpoint: '',
+    privacy_page: 'privacy',
+    // Raise to ask everyone again, e.g. when a new sink is added
+    consent_version: 1,
+    debug: false
+};
+
+// 152-ФЗ consent banner: shown until the visitor accepts or declines;
+// [data-consent-settings] links bring it back to change the answer.
+class ConsentBanner {
+    constructor(analytics, { privacyUrl } = {}) {
+        this.analytics = analytics;
+        this.privacyUrl = privacyUrl;
+        this.root = null;
+
+        document.addEventListener('click', e => {
+            if (e.target.closest('[data-consent-settings]')) {
+                e.preventDefault();
+                this.show();
+            }
+        });
+
+        if (analytics.needsConsent()) {
+            this.show();
+        }
+    }
+
+    show() {
+        const { html } = Template;
+
+        if (!this.root) {
+            this.root = document.createElement('div');
+            this.root.className = 'consent-banner';
+            this.root.setAttribute('role', 'dialog');
+            this.root.setAttribute('aria-live', 'polite');
+            this.root.setAttribute('aria-label', I18n.t('consent.label'));
+            this.root.addEventListener('click', e => {
+                const choice = e.target.closest('[data-consent]');
+                if (choice) {
+                    this.answer(choice.dataset.consent === 'accept');
+                }
+            });
+            document.body.appendChild(this.root);
+        }
+
+        const policy = this.privacyUrl
+            ? html`<a href="${this.privacyUrl}">${I18n.t('consent.policy')}</a>`
+            : I18n.t('consent.policy');
+
+        this.root.innerHTML = html`
+            <p class="consent-text">${Template.raw(I18n.t('consent.text', { policy: String(Template.html`${policy}`) }))}</p>
+            <div class="consent-actions">
+                <button type="button" class="btn btn-primary" data-consent="accept">${I18n.t('consent.accept')}</button>
+                <button type="button" class="btn btn-outline" data-consent="decline">${I18n.t('consent.decline')}</button>
+            </div>
+        `;
+        this.root.hidden = false;
+    }
+
+    answer(granted) {
+        this.analytics.setConsent(granted);
+        this.root.hidden = true;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Analytics, ConsentBanner };
+}
@@ -0,0 +1,202 @@
+// Scroll animations
+// Elements opt in with data-animate="<preset>" and play once when they
+// scroll into view, including cards CMSLoader renders after the page loads:
+// a MutationObserver hands new [data-animate] nodes to the same observer.
+// GSAP runs the tweens when it's loaded, the Web Animations API otherwise.
+// Visitors who prefer reduced motion, and browsers without
+// IntersectionObserver, get everything shown as is and counters at their
+// final value. Nothing is hidden until init() has run, so the page stays
+// readable if this script never does.
+//
+//   <div class="service-card" data-animate="fade-up">
+//   <span data-animate="counter" data-target="150" data-suffix="+">0</span>
+//   data-animate-delay="0.3" adds seconds on top of the stagger
+
+const Animate = {
+    // Set on <html> while animations are live; CSS hides pending elements under it
+    readyClass: 'animate-ready',
+    doneClass: 'is-animated',
+
+    // Seconds
+    duration: 0.6,
+    stagger: 0.1,
+    counterDuration: 2,
+
+    threshold: 0.15,
+
+    // Start state of each preset, in GSAP's terms; elements animate to their CSS state
+    presets: {
+        'fade-up': { opacity: 0, y: 30 },
+        'fade-left': { opacity: 0, x: -20 },
+        'zoom-in': { opacity: 0, scale: 0.9 },
+        'fade': { opacity: 0 }
+    },
+
+    observer: null,
+    mutations: null,
+    // Elements already picked up, so each one plays (or counts) only once
+    seen: new WeakSet(),
+
+    // root is where added nodes are watched for; defaults to <body>
+    init(root = document.body) {
+        if (Animate.mutations || !root) {
+            return;
+        }
+
+        if (!Animate.reducedMotion() && typeof IntersectionObserver !== 'undefined') {
+            Animate.observer = new IntersectionObserver(entries => Animate.reveal(entries), {
+                threshold: Animate.threshold
+            });
+            document.documentElement.classList.add(Animate.readyClass);
+        }
+
+        Animate.scan(root);
+
+        if (typeof MutationObserver !== 'undefined') {
+            Animate.mutations = new MutationObserver(records => {
+                records.forEach(record => {
+                    record.addedNodes.forEach(node => Animate.scan(node));
+                    record.removedNodes.forEach(node => Animate.forget(node));
+                });
+            });
+            Animate.mutations.observe(root, { childList: true, subtree: true });
+        }
+    },
+
+    reducedMotion() {
+        return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    },
+
+    // [data-animate] elements in node, node included
+    find(node) {
+        if (!node || node.nodeType !== 1) {
+            return [];
+        }
+        const found = [...node.querySelectorAll('[data-animate]')];
+        return node.matches('[data-animate]') ? [node, ...found] : found;
+    },
+
+    scan(node) {
+        Animate.find(node).forEach(element => {
+            if (Animate.seen.has(element)) {
+                return;
+            }
+            Animate.seen.add(element);
+
+            if (Animate.observer) {
+                Animate.observer.observe(element);
+            } else {
+                Animate.finish(element);
+            }
+        });
+    },
+
+    // Replaced grids shouldn't keep their old cards observed
+    forget(node) {
+        if (Animate.observer) {
+            Animate.find(node).forEach(element => Animate.observer.unobserve(element));
+        }
+    },
+
+    // Elements entering together are staggered in document order
+    reveal(entries) {
+        entries
+            .filter(entry => entry.isIntersecting)
+            .forEach((entry, index) => {
+                Animate.observer.unobserve(entry.target);
+                Animate.play(entry.target, index * Animate.stagger);
+            });
+    },
+
+    play(element, delay = 0) {
+        const name = element.dataset.animate;
+        const from = Animate.presets[name];
+        delay += parseFloat(element.dataset.animateDelay) || 0;
+
+        if (name === 'counter') {
+            setTimeout(() => Animate.count(element), delay * 1000);
+            return;
+        }
+        if (!from) {
+            console.warn(`Unknown animation preset: ${name}`);
+            Animate.finish(element);
+            return;
+        }
+
+        // From here the start frame is held by the animation, not by CSS
+        element.classList.add(Animate.doneClass);
+
+        if (typeof gsap !== 'undefined') {
+            // Cards' hover transitions would otherwise chase every tween frame
+            element.style.transition = 'none';
+            gsap.from(element, {
+                ...from,
+                duration: Animate.duration,
+                delay,
+                ease: 'power3.out',
+                clearProps: 'opacity,transform,transition'
+            });
+        } else if (element.animate) {
+            element.animate([Animate.keyframe(from), { opacity: 1, transform: 'none' }], {
+                duration: Animate.duration * 1000,
+                delay: delay * 1000,
+                easing: 'cubic-bezier(0.215, 0.61, 0.355, 1)',
+                fill: 'backwards'
+            });
+        }
+    },
+
+    // Shown in its final state, without motion
+    finish(element) {
+        element.classList.add(Animate.doneClass);
+        if (element.dataset.animate === 'counter') {
+            element.textContent = Animate.counterText(element, 1);
+        }
+    },
+
+    // GSAP-style start state -> a Web Animations keyframe
+    keyframe({ opacity, x = 0, y = 0, scale }) {
+        const transforms = [];
+        if (x || y) {
+            transforms.push(`translate(${x}px, ${y}px)`);
+        }
+        if (scale !== undefined) {
+            transforms.push(`scale(${scale})`);
+        }
+
+        const frame = { transform: transforms.join(' ') || 'none' };
+        if (opacity !== undefined) {
+            frame.opacity = opacity;
+        }
+        return frame;
+    },
+
+    // Counts from 0 to data-target with an ease-out
+    count(element) {
+        const duration = Animate.counterDuration * 1000;
+        let start = null;
+
+        const step = time => {
+            start = start === null ? time : start;
+            const progress = Math.min((time - start) / duration, 1);
+            element.textContent = Animate.counterText(element, 1 - Math.pow(1 - progress, 3));
+            if (progress < 1) {
+                requestAnimationFrame(step);
+            }
+        };
+
+        element.classList.add(Animate.doneClass);
+        requestAnimationFrame(step);
+    },
+
+    // Read on every frame, so a suffix I18n swaps mid-count still ends up right
+    counterText(element, progress) {
+        const target = parseInt(element.dataset.target, 10) || 0;
+        return Math.floor(target * progress) + (element.dataset.suffix || '');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Animate;
+}
@@ -0,0 +1,81 @@
+// Before/After comparison
+// Two stacked photos with a divider the visitor drags to reveal one over the
+// other. A visually hidden range input carries the position, so the
+// divider also works from the keyboard and screen readers.
+
+class BeforeAfter {
+    constructor(root) {
+        this.root = root;
+        this.range = root.querySelector('.before-after-range');
+        this.dragging = false;
+
+        if (this.range) {
+            this.range.addEventListener('input', () => this.setPosition(Number(this.range.value)));
+            this.setPosition(Number(this.range.value));
+        }
+
+        root.addEventListener('pointerdown', e => this.start(e));
+        root.addEventListener('pointermove', e => this.move(e));
+        root.addEventListener('pointerup', e => this.end(e));
+        root.addEventListener('pointercancel', e => this.end(e));
+    }
+
+    // Every [data-before-after] under root that isn't set up yet
+    static init(root = document) {
+        root.querySelectorAll('[data-before-after]').forEach(element => {
+            if (!element.dataset.ready) {
+                element.dataset.ready = 'true';
+                new BeforeAfter(element);
+            }
+        });
+    }
+
+    // 0-100, percent of the width showing the "before" photo
+    setPosition(value) {
+        const position = Math.min(Math.max(value, 0), 100);
+        this.root.style.setProperty('--position', `${position}%`);
+
+        if (this.range && Number(this.range.value) !== position) {
+            this.range.value = position;
+        }
+    }
+
+    positionFromEvent(e) {
+        const rect = this.root.getBoundingClientRect();
+        return ((e.clientX - rect.left) / rect.width) * 100;
+    }
+
+    start(e) {
+        if (e.button !== 0) return;
+
+        this.dragging = true;
+        this.root.setPointerCapture(e.pointerId);
+        this.root.classList.add('is-dragging');
+        this.setPosition(this.positionFromEvent(e));
+        if (this.range) {
+            this.range.focus({ preventScroll: true });
+        }
+        e.preventDefault();
+    }
+
+    move(e) {
+        if (this.dragging) {
+            this.setPosition(this.positionFromEvent(e));
+        }
+    }
+
+    end(e) {
+        if (!this.dragging) return;
+
+        this.dragging = false;
+        this.root.classList.remove('is-dragging');
+        if (this.root.hasPointerCapture(e.pointerId)) {
+            this.root.releasePointerCapture(e.pointerId);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BeforeAfter;
+}
@@ -0,0 +1,182 @@
+// Data bindings
+// Fills markup from CMS settings so contact details live in one place
+// (content/settings/global.yml) instead of every HTML file:
+//
+//   <a href="tel:+79677397117" data-cms-href="{settings.phone|tel}" data-cms="settings.phone|phone">…</a>
+//   <a data-cms-href="{settings.whatsapp|whatsapp}">  <p data-cms-if="settings.email">
+//
+// data-cms sets the text, data-cms-<attribute> sets that attribute from a
+// template with {path|formatter} placeholders, data-cms-if hides the element
+// when the value is empty. Empty values leave the markup as it is, so the
+// hardcoded text stays as a fallback. CMSLoader.bindSettings() runs this in
+// the browser; renderHtml() does the same for the static build.
+
+const Bindings = {
+    // {path|formatter}; formatters can be chained: {settings.vk|host}
+    placeholder: /\{([^{}]+)\}/g,
+
+    formatters: {
+        // +79677397117 -> +7 (967) 739-71-17; anything else is shown as entered
+        phone(value) {
+            const digits = Bindings.phoneDigits(value);
+            if (!digits) {
+                return String(value);
+            }
+            return `+7 (${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6, 8)}-${digits.slice(8)}`;
+        },
+
+        tel(value) {
+            const digits = Bindings.phoneDigits(value);
+            return `tel:${digits ? `+7${digits}` : String(value).replace(/[^\d+]/g, '')}`;
+        },
+
+        // The CMS field holds either a phone number or a ready-made link
+        whatsapp(value) {
+            if (/^https?:\/\//.test(value)) {
+                return value;
+            }
+            const digits = Bindings.phoneDigits(value);
+            return `https://wa.me/${digits ? `7${digits}` : String(value).replace(/\D/g, '')}`;
+        },
+
+        mailto(value) {
+            return /^mailto:/.test(value) ? value : `mailto:${value}`;
+        },
+
+        // https://vk.com/robert_gareev -> vk.com/robert_gareev
+        host(value) {
+            return String(value).replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+        }
+    },
+
+    // Ten digits of a Russian number without the country code, or null
+    phoneDigits(value) {
+        let digits = String(value ?? '').replace(/\D/g, '');
+        if (digits.length === 11 && (digits[0] === '7' || digits[0] === '8')) {
+            digits = digits.slice(1);
+        }
+        return digits.length === 10 ? digits : null;
+    },
+
+    // 'settings.phone|phone' -> formatted value, or '' when the field is empty
+    evaluate(expression, data) {
+        const [path, ...formatters] = expression.split('|').map(part => part.trim());
+        const value = path.split('.').reduce((object, key) => (object == null ? undefined : object[key]), data);
+
+        if (value === undefined || value === null || value === '') {
+            return '';
+        }
+
+        return formatters.reduce((result, name) => {
+            const formatter = Bindings.formatters[name];
+            if (!formatter) {
+                console.warn(`Unknown binding formatter: ${name}`);
+                return result;
+            }
+            return formatter(result);
+        }, value);
+    },
+
+    // 'tel:{settings.phone}' -> 'tel:+79677397117'; null if any placeholder is empty
+    interpolate(template, data) {
+        let complete = true;
+        const result = template.replace(Bindings.placeholder, (match, expression) => {
+            const value = Bindings.evaluate(expression, data);
+            if (value === '') {
+                complete = false;
+            }
+            return value;
+        });
+        return complete ? result : null;
+    },
+
+    // Attributes whose values are URLs; they go through Template.safeUrl like
+    // everything html`` renders, so a javascript: link in the CMS becomes '#'
+    urlAttributes: ['href', 'src', 'action', 'formaction', 'srcset'],
+
+    attributeValue(attribute, value) {
+        return Bindings.urlAttributes.includes(attribute.toLowerCase()) ? Template.safeUrl(value) : value;
+    },
+
+    // data-cms-href -> href; data-cms and data-cms-if are handled separately
+    boundAttributes(names) {
+        return names
+            .filter(name => name.startsWith('data-cms-') && name !== 'data-cms-if')
+            .map(name => [name, name.slice('data-cms-'.length)]);
+    },
+
+    apply(root, data) {
+        root.querySelectorAll('*').forEach(el => {
+            const names = el.getAttributeNames();
+            if (!names.some(name => name.startsWith('data-cms'))) {
+                return;
+            }
+
+            if (el.hasAttribute('data-cms-if')) {
+                el.hidden = Bindings.evaluate(el.getAttribute('data-cms-if'), data) === '';
+            }
+
+            if (el.hasAttribute('data-cms')) {
+                const text = Bindings.evaluate(el.getAttribute('data-cms'), data);
+                if (text !== '') {
+                    el.textContent = text;
+                }
+            }
+
+            Bindings.boundAttributes(names).forEach(([name, attribute]) => {
+                const value = Bindings.interpolate(el.getAttribute(name), data);
+                if (value !== null) {
+                    el.setAttribute(attribute, Bindings.attributeValue(attribute, value));
+                }
+            });
+        });
+    },
+
+    // Same as apply() for HTML strings, used by scripts/build.js. An element
+    // with data-cms must not contain another element with the same tag name.
+    renderHtml(source, data) {
+        const { escape } = Template;
+        const attributesOf = tag => Array.from(tag.matchAll(/\s([\w-]+)(?:="([^"]*)")?/g), ([, name, value = '']) => [name, value]);
+
+        const withText = source.replace(/(<([a-z][\w-]*)\s[^>]*\bdata-cms="([^"]*)"[^>]*>)[\s\S]*?(<\/\2>)/gi, (match, open, name, binding, close) => {
+            const value = Bindings.evaluate(binding, data);
+            return value !== '' ? `${open}${escape(value)}${close}` : match;
+        });
+
+        return withText.replace(/<([a-z][\w-]*)(\s[^>]*\bdata-cms-[^>]*)>/gi, (match, name, attributes) => {
+            const attrs = attributesOf(attributes);
+            const get = key => (attrs.find(([attr]) => attr === key) || [])[1];
+            let tag = attributes;
+
+            // Both ways, as apply() sets el.hidden
+            const condition = get('data-cms-if');
+            if (condition !== undefined) {
+                const empty = Bindings.evaluate(condition, data) === '';
+                if (empty && get('hidden') === undefined) {
+                    tag += ' hidden';
+                } else if (!empty) {
+                    tag = tag.replace(/\shidden(?:="[^"]*")?(?=\s|\/|$)/, '');
+                }
+            }
+
+            Bindings.boundAttributes(attrs.map(([attr]) => attr)).forEach(([binding, attribute]) => {
+                const interpolated = Bindings.interpolate(get(binding).replace(/&amp;/g, '&'), data);
+                if (interpolated === null) {
+                    return;
+                }
+                const value = Bindings.attributeValue(attribute, interpolated);
+                const pattern = new RegExp(`(\\s${attribute}=")[^"]*(")`);
+                tag = pattern.test(tag)
+                    ? tag.replace(pattern, (found, open, close) => `${open}${escape(value)}${close}`)
+                    : `${tag} ${attribute}="${escape(value)}"`;
+            });
+
+            return `<${name}${tag}>`;
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Bindings;
+}
@@ -0,0 +1,272 @@
+// Carousel
+// Auto-rotating slider following the WAI-ARIA carousel pattern. Slides are
+// the children of the track; dots, arrows and the rotation toggle are built
+// from however many there are and rebuilt when CMS content replaces them.
+// Rotation pauses on hover, on focus and while the tab is hidden, and
+// doesn't start for visitors who prefer reduced motion.
+
+class Carousel {
+    constructor(root, options = {}) {
+        this.root = root;
+        this.options = {
+            ...Carousel.defaults,
+            ...options,
+            classes: { ...Carousel.defaults.classes, ...options.classes }
+        };
+        this.track = root.querySelector(this.options.track);
+        this.nav = root.querySelector(this.options.nav);
+        this.index = 0;
+        this.timer = null;
+        // Every reason rotation is on hold: 'hover', 'focus', 'hidden', 'user'
+        this.holds = new Set();
+
+        if (!this.track) {
+            throw new Error('Carousel track not found');
+        }
+
+        const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        if (reducedMotion || !this.options.interval) {
+            this.holds.add('user');
+        }
+        if (document.hidden) {
+            this.holds.add('hidden');
+        }
+
+        this.track.id = this.track.id || `carousel-${Carousel.count++}`;
+        root.setAttribute('role', 'region');
+        root.setAttribute('aria-roledescription', 'carousel');
+
+        this.bindEvents();
+        this.refresh();
+
+        // CMS content replaces the slides after load
+        new MutationObserver(() => this.refresh()).observe(this.track, { childList: true });
+    }
+
+    get slides() {
+        return Array.from(this.track.children);
+    }
+
+    bindEvents() {
+        this.root.addEventListener('mouseenter', () => this.hold('hover'));
+        this.root.addEventListener('mouseleave', () => this.release('hover'));
+        this.root.addEventListener('focusin', () => this.hold('focus'));
+        this.root.addEventListener('focusout', e => {
+            if (!this.root.contains(e.relatedTarget)) {
+                this.release('focus');
+            }
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.hold('hidden');
+            } else {
+                this.release('hidden');
+            }
+        });
+
+        this.root.addEventListener('keydown', e => {
+            const actions = {
+                ArrowLeft: () => this.prev(),
+                ArrowRight: () => this.next(),
+                Home: () => this.goTo(0),
+                End: () => this.goTo(this.slides.length - 1)
+            };
+            if (actions[e.key] && this.slides.length > 1) {
+                e.preventDefault();
+                actions[e.key]();
+            }
+        });
+
+        // Horizontal swipes only; vertical movement is left to page scrolling
+        let start = null;
+        this.track.addEventListener('touchstart', e => {
+            const touch = e.touches[0];
+            start = { x: touch.clientX, y: touch.clientY };
+        }, { passive: true });
+
+        this.track.addEventListener('touchend', e => {
+            if (!start) return;
+
+            const touch = e.changedTouches[0];
+            const dx = touch.clientX - start.x;
+            const dy = touch.clientY - start.y;
+            start = null;
+
+            if (Math.abs(dx) > this.options.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+                if (dx < 0) {
+                    this.next();
+                } else {
+                    this.prev();
+                }
+            }
+        }, { passive: true });
+
+        if (this.nav) {
+            this.nav.addEventListener('click', e => {
+                const button = e.target.closest('button');
+                if (!button) return;
+
+                if (button.dataset.direction === 'prev') {
+                    this.prev();
+                } else if (button.dataset.direction === 'next') {
+                    this.next();
+                } else if (button.dataset.slide !== undefined) {
+                    this.goTo(Number(button.dataset.slide));
+                } else if (button.dataset.rotation !== undefined) {
+                    this.toggleRotation();
+                }
+            });
+        }
+    }
+
+    // Re-read the slides and rebuild the controls for their number
+    refresh() {
+        const slides = this.slides;
+        const total = slides.length;
+        this.index = Math.min(this.index, Math.max(total - 1, 0));
+
+        slides.forEach((slide, i) => {
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+            slide.setAttribute('aria-label', I18n.t('carousel.slide', { index: i + 1, total }));
+        });
+
+        if (this.nav) {
+            this.renderNav(total);
+            this.nav.hidden = total < 2;
+        }
+
+        this.update();
+        this.schedule();
+    }
+
+    renderNav(total) {
+        const { html } = Template;
+        const { classes } = this.options;
+        const arrow = (direction, label, path) => html`
+            <button type="button" class="${classes.arrow}" data-direction="${direction}"
+                    aria-controls="${this.track.id}" aria-label="${label}">
+                <svg viewBox="0 0 24 24" aria-hidden="true"><path d="${path}"/></svg>
+            </button>
+        `;
+
+        this.nav.innerHTML = html`
+            <button type="button" class="${classes.toggle}" data-rotation aria-controls="${this.track.id}"></button>
+            ${arrow('prev', I18n.t('carousel.prev'), 'M15.41 7.41 14 6l-6 6 6 6 1.41-1.41L10.83 12z')}
+            <div class="${classes.dots}">
+                ${Array.from({ length: total }, (item, i) => html`
+                    <button type="button" class="${classes.dot}" data-slide="${i}"
+                            aria-controls="${this.track.id}"
+                            aria-label="${I18n.t('carousel.goTo', { index: i + 1 })}"></button>
+                `)}
+            </div>
+            ${arrow('next', I18n.t('carousel.next'), 'M10 6 8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z')}
+        `;
+    }
+
+    update() {
+        this.track.style.transform = `translateX(-${this.index * 100}%)`;
+
+        this.slides.forEach((slide, i) => {
+            const current = i === this.index;
+            slide.toggleAttribute('inert', !current);
+            slide.setAttribute('aria-hidden', String(!current));
+        });
+
+        if (this.nav) {
+            this.nav.querySelectorAll('[data-slide]').forEach(dot => {
+                const current = Number(dot.dataset.slide) === this.index;
+                dot.classList.toggle('active', current);
+                dot.toggleAttribute('aria-current', current);
+            });
+        }
+    }
+
+    goTo(index) {
+        const total = this.slides.length;
+        if (!total) return;
+
+        this.index = (index + total) % total;
+        this.update();
+        this.schedule();
+    }
+
+    next() {
+        this.goTo(this.index + 1);
+    }
+
+    prev() {
+        this.goTo(this.index - 1);
+    }
+
+    // Rotation
+
+    get rotating() {
+        return this.holds.size === 0 && this.slides.length > 1;
+    }
+
+    hold(reason) {
+        this.holds.add(reason);
+        this.schedule();
+    }
+
+    release(reason) {
+        this.holds.delete(reason);
+        this.schedule();
+    }
+
+    toggleRotation() {
+        if (this.holds.has('user')) {
+            this.release('user');
+        } else {
+            this.hold('user');
+        }
+    }
+
+    // Restart the countdown so a manual move gets a full interval
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        // Screen readers announce slide changes only when the visitor makes them
+        this.track.setAttribute('aria-live', this.rotating ? 'off' : 'polite');
+        this.updateToggle();
+
+        if (this.rotating) {
+            this.timer = setTimeout(() => this.next(), this.options.interval);
+        }
+    }
+
+    updateToggle() {
+        const toggle = this.nav && this.nav.querySelector('[data-rotation]');
+        if (!toggle) return;
+
+        const stopped = this.holds.has('user');
+        toggle.classList.toggle('is-paused', stopped);
+        toggle.setAttribute('aria-label', I18n.t(stopped ? 'carousel.play' : 'carousel.pause'));
+        toggle.innerHTML = stopped
+            ? '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M8 5v14l11-7z"/></svg>'
+            : '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z"/></svg>';
+    }
+}
+
+Carousel.count = 0;
+
+Carousel.defaults = {
+    track: '[data-carousel-track]',
+    nav: '[data-carousel-nav]',
+    interval: 5000,
+    swipeThreshold: 50,
+    classes: {
+        arrow: 'carousel-arrow',
+        dots: 'carousel-dots',
+        dot: 'carousel-dot',
+        toggle: 'carousel-toggle'
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Carousel;
+}
@@ -0,0 +1,186 @@
+// CMS Adapters
+// Where CMSLoader reads files from and how it parses them. Browsers use
+// HttpFetcher (fetch plus the localStorage cache); build scripts and tests
+// use FsFetcher on the checkout. Both take the same '/content/...' paths.
+// Markdown and YAML are parsed by the copies in src/js/vendor/, so content
+// pages don't depend on a CDN and Node needs no npm install.
+
+class HttpFetcher {
+    constructor(options = {}) {
+        // Raw files persisted across page loads (src/js/content-cache.js)
+        this.store = options.store !== undefined
+            ? options.store
+            : (typeof ContentCache !== 'undefined' ? new ContentCache() : null);
+    }
+
+    // Stale-while-revalidate: fresh entries are served without a request,
+    // older ones are served immediately and revalidated in the background,
+    // expired ones wait for the network. Offline, any cached copy is used.
+    async fetch(path) {
+        const cached = this.store ? this.store.get(path) : null;
+
+        if (cached && this.store.isFresh(cached)) {
+            return cached.data;
+        }
+
+        if (cached && !this.store.isExpired(cached)) {
+            this.revalidate(path, cached);
+            return cached.data;
+        }
+
+        return this.revalidate(path, cached);
+    }
+
+    async revalidate(path, cached) {
+        const headers = {};
+        if (cached && cached.etag) {
+            headers['If-None-Match'] = cached.etag;
+        }
+        if (cached && cached.lastModified) {
+            headers['If-Modified-Since'] = cached.lastModified;
+        }
+
+        let response;
+        try {
+            // no-store: we handle validation ourselves and need to see the 304
+            response = await fetch(path, { headers, cache: 'no-store' });
+        } catch (error) {
+            // Offline: only a network error falls back to the cached copy
+            if (cached) {
+                return cached.data;
+            }
+            console.error('Error fetching file:', error);
+            return null;
+        }
+
+        if (response.status === 304 && cached) {
+            this.store.touch(path);
+            return cached.data;
+        }
+
+        // A file that isn't there (an untranslated entry, the image manifest
+        // before a build, an entry deleted in the CMS) is null, as with FsFetcher
+        if (response.status === 404) {
+            if (cached) {
+                this.store.remove(path);
+            }
+            return null;
+        }
+
+        try {
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const text = await response.text();
+            if (this.store) {
+                this.store.set(path, {
+                    data: text,
+                    etag: response.headers.get('ETag'),
+                    lastModified: response.headers.get('Last-Modified')
+                });
+            }
+            return text;
+        } catch (error) {
+            console.error('Error fetching file:', error);
+            return null;
+        }
+    }
+
+    // File names from the dev server's directory listing
+    async list(dirPath) {
+        try {
+            const response = await fetch(dirPath);
+            if (!response.ok) {
+                return [];
+            }
+
+            const text = await response.text();
+            const doc = new DOMParser().parseFromString(text, 'text/html');
+            return Array.from(doc.querySelectorAll('a')).map(link => link.textContent);
+        } catch (error) {
+            console.error('Error listing files:', error);
+            return [];
+        }
+    }
+
+    // True when a new content version was published since the last visit
+    async checkVersion(versionUrl) {
+        if (!this.store) {
+            return false;
+        }
+
+        try {
+            const response = await fetch(versionUrl, { cache: 'no-store' });
+            if (!response.ok) {
+                return false;
+            }
+
+            const { version } = await response.json();
+            if (version && version !== this.store.getVersion()) {
+                this.store.setVersion(version);
+                return true;
+            }
+        } catch (error) {
+            // Offline: keep serving what we have
+        }
+        return false;
+    }
+
+    purge() {
+        if (this.store) {
+            this.store.purge();
+        }
+    }
+}
+
+// Node only: paths are resolved against root, missing files read as null
+class FsFetcher {
+    constructor(root) {
+        this.root = root;
+        this.fs = require('fs');
+        this.path = require('path');
+    }
+
+    async fetch(filePath) {
+        try {
+            return await this.fs.promises.readFile(this.path.join(this.root, filePath), 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async list(dirPath) {
+        try {
+            return await this.fs.promises.readdir(this.path.join(this.root, dirPath));
+        } catch (error) {
+            return [];
+        }
+    }
+}
+
+const CMSParsers = {
+    // Browsers get the libraries as globals from the vendor script tags
+    library(name, file) {
+        if (typeof globalThis[name] !== 'undefined') {
+            return globalThis[name];
+        }
+        if (typeof require === 'function') {
+            return require(`./vendor/${file}`);
+        }
+        throw new Error(`${name} is not loaded`);
+    },
+
+    yaml(text) {
+        return CMSParsers.library('jsyaml', 'js-yaml.min.js').load(text);
+    },
+
+    markdown(text) {
+        return CMSParsers.library('marked', 'marked.min.js').parse(text);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HttpFetcher, FsFetcher, CMSParsers };
+}
@@ -1,34 +1,105 @@
 // CMS Loader for Decap CMS Integration
-// Handles Markdown parsing, content loading, and caching
+// Handles Markdown parsing, content loading, and caching. File access and
+// parsing go through adapters (src/js/cms-adapters.js), so the same class
+// runs in the browser, in scripts/ and in the test suite:
+//
+//   new CMSLoader()                                         // browser: HTTP + localStorage
+//   new CMSLoader({ fetcher: new FsFetcher(root), locale }) // Node: files from the checkout
+
+// Script tags in the browser, require() in Node
+const CMSAdapters = typeof HttpFetcher !== 'undefined'
+    ? { HttpFetcher, FsFetcher, CMSParsers }
+    : require('./cms-adapters.js');
+const FrontmatterParser = typeof Frontmatter !== 'undefined' ? Frontmatter : require('./frontmatter.js');
 
 class CMSLoader {
-    constructor() {
+    constructor(options = {}) {
+        const { fetcher, parsers, ...settings } = options;
+        
         this.cache = {};
         this.cacheTime = 5 * 60 * 1000; // 5 minutes
         this.baseUrl = '/content/';
-        this.cdnLibraries = {
-            marked: 'https://cdnjs.cloudflare.com/ajax/libs/marked/4.3.0/marked.min.js',
-            yaml: 'https://cdnjs.cloudflare.com/ajax/libs/js-yaml/4.3.7/js-yaml.min.js'
+        // { fetch(path), list(dirPath) } resolving to text/file names, or null/[]
+        this.fetcher = fetcher || new CMSAdapters.HttpFetcher();
+        // { yaml(text), markdown(text) }
+        this.parsers = parsers || CMSAdapters.CMSParsers;
+        // Written by scripts/manifest.js; a new value purges the persistent cache
+        this.versionUrl = '/content/version.json';
+        // Link to /services/<slug>/ instead of service.html?slug=; the site and
+        // the static build do, the ?slug= shells still answer old links
+        this.prettyUrls = false;
+        // Used by query() when no explicit sort is passed
+        this.defaultSort = {
+            services: ['order', 'title'],
+            portfolio: ['-year', 'title'],
+            pages: ['menu_order', 'title'],
+            reviews: ['-date'],
+            team: ['order', 'title']
+        };
+        // Relation fields as declared in admin/config.yml: collection -> field ->
+        // the collection its slugs point to. getRelated() follows them both ways
+        this.relations = {
+            portfolio: { services: 'services' }
         };
+        // Dev mode checks content against admin/config.yml on init
+        this.devMode = typeof location !== 'undefined' && ['localhost', '127.0.0.1'].includes(location.hostname);
+        this.configPath = '/admin/config.yml';
+        this.validatorScript = '/src/js/content-validator.js';
+        // Files that failed to parse, as { file, line, column, message, severity };
+        // dev mode lists them in an on-page overlay
+        this.diagnostics = [];
+        this.overlayScript = '/src/js/diagnostics-overlay.js';
+        // Translations live in content/<locale>/<collection>/ and override the
+        // default locale's fields; anything untranslated falls back to it
+        this.defaultLocale = typeof I18n !== 'undefined' ? I18n.defaultLocale : 'ru';
+        this.locale = typeof I18n !== 'undefined' ? I18n.locale : this.defaultLocale;
+        // Responsive variants written by scripts/images.js, keyed by image path:
+        // { width, height, placeholder, sources: [{ type, srcset }] }. Empty
+        // without a build, and images render as plain <img src>
+        this.images = {};
+        this.imagesUrl = '/content/images.json';
+        // Shown for portfolio items without a photo
+        this.placeholderImage = '/assets/images/placeholder.jpg';
+        // Bundled parsers for pages that don't include them as script tags
+        this.libraries = {
+            marked: '/src/js/vendor/marked.min.js',
+            jsyaml: '/src/js/vendor/js-yaml.min.js'
+        };
+        
+        // prettyUrls, locale, baseUrl, ...
+        Object.assign(this, settings);
     }
 
     async init() {
-        // Load external libraries if not already loaded
-        await this.loadLibraries();
+        // Drop cached content from before the last CMS publish
+        await this.checkContentVersion();
+        
+        // Load the parsers if the page didn't include them
+        await Promise.all([this.loadLibraries(), this.loadImages()]);
+        
+        if (this.devMode) {
+            this.validateContent().catch(error => console.error('Content validation failed:', error));
+        }
     }
 
     async loadLibraries() {
-        const promises = [];
-        
-        if (typeof marked === 'undefined') {
-            promises.push(this.loadScript(this.cdnLibraries.marked));
+        if (typeof document === 'undefined') {
+            return []; // Node requires them on first use
         }
         
-        if (typeof jsyaml === 'undefined') {
-            promises.push(this.loadScript(this.cdnLibraries.yaml));
+        const missing = Object.entries(this.libraries).filter(([name]) => typeof globalThis[name] === 'undefined');
+        return Promise.all(missing.map(([, src]) => this.loadScript(src)));
+    }
+
+    // No manifest (no build yet, e.g. under npm run serve) means no variants
+    async loadImages() {
+        try {
+            const manifest = await this.fetchFile(this.imagesUrl);
+            this.images = manifest ? JSON.parse(manifest) : {};
+        } catch (error) {
+            console.warn('Could not load the image manifest:', error);
         }
-        
-        return Promise.all(promises);
+        return this.images;
     }
 
     loadScript(src) {
@@ -41,64 +112,150 @@ class CMSLoader {
         });
     }
 
-    async fetchFile(path) {
-        try {
-            const response = await fetch(path);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            return await response.text();
-        } catch (error) {
-            console.error('Error fetching file:', error);
-            return null;
+    fetchFile(path) {
+        return this.fetcher.fetch(path);
+    }
+
+    async checkContentVersion() {
+        if (this.fetcher.checkVersion && await this.fetcher.checkVersion(this.versionUrl)) {
+            this.purgeCache();
         }
     }
 
-    parseFrontmatter(content) {
-        const frontmatterRegex = /^---\n([\s\S]*?)\n---\n([\s\S]*)$/;
-        const match = content.match(frontmatterRegex);
+    // Purge hook: clears the in-memory, persistent and service worker content caches
+    purgeCache() {
+        this.clearCache();
         
-        if (!match) {
-            return {
-                frontmatter: {},
-                body: content,
-                error: 'Invalid frontmatter format'
-            };
+        if (this.fetcher.purge) {
+            this.fetcher.purge();
         }
         
-        const frontmatterContent = match[1];
-        const bodyContent = match[2];
-        
-        let frontmatter;
+        if (typeof navigator !== 'undefined' && navigator.serviceWorker && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'purge-content' });
+        }
+    }
+
+    // { frontmatter, body, format, error }; error is a diagnostic or null
+    parseFrontmatter(content, file = null) {
+        return FrontmatterParser.parse(content, { file, yaml: text => this.parsers.yaml(text) });
+    }
+
+    // Settings files are plain YAML; null (and a diagnostic) when they don't parse
+    parseYaml(content, file) {
         try {
-            frontmatter = jsyaml.load(frontmatterContent);
+            return this.parsers.yaml(content) || {};
         } catch (error) {
-            console.error('Error parsing frontmatter:', error);
-            frontmatter = {};
+            this.reportDiagnostic(FrontmatterParser.fromError(error, content, file));
+            return null;
+        }
+    }
+
+    // '/content/services/x.md' -> 'content/services/x.md', as in admin/config.yml
+    relativePath(filePath) {
+        return filePath.replace(/^\//, '');
+    }
+
+    reportDiagnostic(diagnostic) {
+        const key = CMSLoader.formatDiagnostic(diagnostic);
+        if (this.diagnostics.some(existing => CMSLoader.formatDiagnostic(existing) === key)) {
+            return;
         }
         
-        return {
-            frontmatter,
-            body: bodyContent,
-            error: null
-        };
+        this.diagnostics.push(diagnostic);
+        console.error(key);
+        
+        if (this.devMode) {
+            this.showDiagnostics().catch(error => console.error('Error showing diagnostics:', error));
+        }
     }
 
-    parseMarkdown(content) {
-        if (typeof marked === 'undefined') {
-            return content;
+    async showDiagnostics() {
+        if (typeof DiagnosticsOverlay === 'undefined') {
+            this.overlayLoading = this.overlayLoading || this.loadScript(this.overlayScript);
+            await this.overlayLoading;
         }
         
+        this.overlay = this.overlay || new DiagnosticsOverlay();
+        this.overlay.render(this.diagnostics);
+    }
+
+    // 'content/services/x.md:3:7 Invalid YAML: ...'
+    static formatDiagnostic({ file, line, column, message }) {
+        const position = line ? `:${line}:${column || 1}` : '';
+        return `${file || '(unknown file)'}${position} ${message}`;
+    }
+
+    // Markdown output is sanitized: CMS content never reaches the page as raw HTML
+    parseMarkdown(content) {
         try {
-            return marked(content);
+            return Template.sanitize(this.parsers.markdown(content));
         } catch (error) {
             console.error('Error parsing markdown:', error);
-            return content;
+            return Template.escape(content);
+        }
+    }
+
+    // UI strings in this loader's locale (src/js/i18n.js)
+    t(key, params) {
+        return I18n.t(key, params, this.locale);
+    }
+
+    // 'services' -> 'en/services' for translated content
+    getLocalePath(collection, locale = this.locale) {
+        return locale === this.defaultLocale ? collection : `${locale}/${collection}`;
+    }
+
+    // Translated values win; nested objects are merged and lists of objects
+    // with an id are matched by id, so a translation only needs the text
+    mergeLocalized(base, translation) {
+        if (Array.isArray(base) && Array.isArray(translation) && base.every(item => item && item.id !== undefined)) {
+            return base.map(item => {
+                const translated = translation.find(entry => entry && entry.id === item.id);
+                return translated ? this.mergeLocalized(item, translated) : item;
+            });
+        }
+        
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+        if (isObject(base) && isObject(translation)) {
+            const merged = { ...base };
+            Object.entries(translation).forEach(([key, value]) => {
+                merged[key] = key in base ? this.mergeLocalized(base[key], value) : value;
+            });
+            return merged;
         }
+        
+        return translation === undefined || translation === null ? base : translation;
+    }
+
+    // Only fetch translations the locale's manifest lists, so untranslated
+    // entries don't cost a 404 each
+    async loadTranslation(collection, slug) {
+        if (this.locale === this.defaultLocale) {
+            return null;
+        }
+        
+        const slugs = await this.listSlugs(this.getLocalePath(collection));
+        if (!slugs.includes(slug)) {
+            return null;
+        }
+        
+        const filePath = `${this.baseUrl}${this.getLocalePath(collection)}/${slug}.md`;
+        const content = await this.fetchFile(filePath);
+        if (!content) {
+            return null;
+        }
+        
+        // A broken translation falls back to the default locale, but is reported
+        const parsed = this.parseFrontmatter(content, this.relativePath(filePath));
+        if (parsed.error) {
+            this.reportDiagnostic(parsed.error);
+            return null;
+        }
+        return parsed;
     }
 
     async loadContent(collection, slug) {
-        const cacheKey = `${collection}:${slug}`;
+        const cacheKey = `${this.locale}:${collection}:${slug}`;
         const cached = this.getCached(cacheKey);
         
         if (cached) {
@@ -112,18 +269,24 @@ class CMSLoader {
             return null;
         }
         
-        const parsed = this.parseFrontmatter(content);
+        const parsed = this.parseFrontmatter(content, this.relativePath(filePath));
         if (parsed.error) {
+            this.reportDiagnostic(parsed.error);
             return null;
         }
         
-        const htmlBody = this.parseMarkdown(parsed.body);
+        const translation = await this.loadTranslation(collection, slug);
+        const frontmatter = translation ? this.mergeLocalized(parsed.frontmatter, translation.frontmatter) : parsed.frontmatter;
+        const body = translation && translation.body.trim() ? translation.body : parsed.body;
+        
+        const htmlBody = this.parseMarkdown(body);
         const result = {
-            ...parsed.frontmatter,
+            ...frontmatter,
             body: htmlBody,
-            rawBody: parsed.body,
+            rawBody: body,
             collection,
-            slug
+            slug,
+            locale: translation ? this.locale : this.defaultLocale
         };
         
         this.setCached(cacheKey, result);
@@ -131,22 +294,15 @@ class CMSLoader {
     }
 
     async loadCollection(collection) {
-        const cacheKey = `collection:${collection}`;
+        const cacheKey = `collection:${this.locale}:${collection}`;
         const cached = this.getCached(cacheKey);
         
         if (cached) {
             return cached;
         }
         
-        const dirPath = `${this.baseUrl}${collection}/`;
-        const files = await this.listFiles(dirPath);
-        
-        const promises = files
-            .filter(file => file.endsWith('.md'))
-            .map(file => {
-                const slug = file.replace('.md', '');
-                return this.loadContent(collection, slug);
-            });
+        const slugs = await this.listSlugs(collection);
+        const promises = slugs.map(slug => this.loadContent(collection, slug));
         
         const results = await Promise.allSettled(promises);
         const items = results
@@ -158,50 +314,306 @@ class CMSLoader {
         return items;
     }
 
-    async loadSettings() {
-        const cacheKey = 'settings:global';
+    // Filter, sort and paginate a collection:
+    // query('portfolio', { where: { type: 'Дом', year: { gte: 2023 } }, sort: ['-year', 'title'], limit: 6 })
+    async query(collection, options = {}) {
+        const { where = {}, sort = this.defaultSort[collection] || [], limit, offset = 0 } = options;
+        const items = await this.loadCollection(collection);
+        
+        const matched = items
+            .filter(item => this.matchesWhere(item, where))
+            .sort((a, b) => this.compareBy(a, b, [].concat(sort)));
+        
+        const end = typeof limit === 'number' ? offset + limit : undefined;
+        return {
+            items: matched.slice(offset, end),
+            total: matched.length,
+            limit: typeof limit === 'number' ? limit : null,
+            offset
+        };
+    }
+
+    matchesWhere(item, where) {
+        return Object.entries(where).every(([field, condition]) => {
+            const value = item[field];
+            
+            if (Array.isArray(condition)) {
+                return condition.includes(value);
+            }
+            
+            if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+                return value === condition;
+            }
+            
+            return Object.entries(condition).every(([operator, expected]) => {
+                switch (operator) {
+                    case 'eq': return value === expected;
+                    case 'ne': return value !== expected;
+                    case 'gt': return value !== undefined && value !== null && value > expected;
+                    case 'gte': return value !== undefined && value !== null && value >= expected;
+                    case 'lt': return value !== undefined && value !== null && value < expected;
+                    case 'lte': return value !== undefined && value !== null && value <= expected;
+                    case 'in': return expected.includes(value);
+                    case 'nin': return !expected.includes(value);
+                    case 'exists': return (value !== undefined && value !== null) === expected;
+                    default:
+                        console.warn('Unknown query operator:', operator);
+                        return false;
+                }
+            });
+        });
+    }
+
+    // Sort keys are field names, '-' prefix for descending. Missing values go last.
+    compareBy(a, b, sortKeys) {
+        for (const key of sortKeys) {
+            const descending = key.startsWith('-');
+            const field = descending ? key.slice(1) : key;
+            const left = a[field];
+            const right = b[field];
+            
+            const leftMissing = left === undefined || left === null;
+            const rightMissing = right === undefined || right === null;
+            if (leftMissing || rightMissing) {
+                if (leftMissing !== rightMissing) {
+                    return leftMissing ? 1 : -1;
+                }
+                continue;
+            }
+            
+            const result = typeof left === 'string' && typeof right === 'string'
+                ? left.localeCompare(right, this.locale)
+                : (left > right) - (left < right);
+            
+            if (result !== 0) {
+                return descending ? -result : result;
+            }
+        }
+        return 0;
+    }
+
+    // Entries linked to one through relation fields, in both directions:
+    // getRelated('services', slug) lists the projects that name the service,
+    // getRelated('portfolio', slug) the services a project names
+    async getRelated(collection, slug) {
+        const index = await this.loadRelationIndex();
+        return index[`${collection}:${slug}`] || [];
+    }
+
+    // 'collection:slug' -> linked items. Projects come in the collection's
+    // sort order, services in the order the project lists them. Inactive and
+    // missing entries aren't linked (see findDanglingReferences).
+    async loadRelationIndex() {
+        const cacheKey = `relations:${this.locale}`;
         const cached = this.getCached(cacheKey);
         
         if (cached) {
             return cached;
         }
         
-        const filePath = `${this.baseUrl}settings/global.yml`;
-        const content = await this.fetchFile(filePath);
+        const index = {};
+        const link = (key, item) => {
+            (index[key] = index[key] || []).push(item);
+        };
+        
+        for (const [collection, fields] of Object.entries(this.relations)) {
+            const { items } = await this.query(collection);
+            
+            for (const [field, target] of Object.entries(fields)) {
+                const targets = await this.loadCollection(target);
+                items.forEach(item => {
+                    this.getReferences(item, field).forEach(slug => {
+                        const related = targets.find(candidate => candidate.slug === slug);
+                        if (related) {
+                            link(`${target}:${slug}`, item);
+                            link(`${collection}:${item.slug}`, related);
+                        }
+                    });
+                });
+            }
+        }
         
+        this.setCached(cacheKey, index);
+        return index;
+    }
+
+    // A relation field holds one slug, or a list of them with multiple: true
+    getReferences(item, field) {
+        const slugs = [].concat(item[field] || []).filter(slug => typeof slug === 'string' && slug);
+        return [...new Set(slugs)];
+    }
+
+    // Relation values naming entries that don't exist (renamed or deleted),
+    // as { file, field, message, severity } issues
+    async findDanglingReferences() {
+        const issues = [];
+        
+        for (const [collection, fields] of Object.entries(this.relations)) {
+            const slugs = await this.listSlugs(collection);
+            
+            for (const [field, target] of Object.entries(fields)) {
+                const existing = new Set(await this.listSlugs(target));
+                
+                for (const slug of slugs) {
+                    const item = await this.loadContent(collection, slug);
+                    const value = item && item[field];
+                    if (!value) continue;
+                    
+                    const file = this.relativePath(`${this.baseUrl}${collection}/${slug}.md`);
+                    [].concat(value).forEach((reference, index) => {
+                        if (!existing.has(reference)) {
+                            const path = Array.isArray(value) ? `${field}[${index}]` : field;
+                            issues.push({ file, field: path, message: `No ${target} entry "${reference}"`, severity: 'warning' });
+                        }
+                    });
+                }
+            }
+        }
+        
+        return issues;
+    }
+
+    // Generated by scripts/manifest.js; null when the collection has none
+    async loadManifest(collection) {
+        const cacheKey = `manifest:${collection}`;
+        const cached = this.getCached(cacheKey);
+        
+        if (cached) {
+            return cached;
+        }
+        
+        const content = await this.fetchFile(`${this.baseUrl}${collection}/index.json`);
         if (!content) {
             return null;
         }
         
-        let settings;
+        let manifest;
         try {
-            settings = jsyaml.load(content);
+            manifest = JSON.parse(content);
         } catch (error) {
-            console.error('Error parsing settings:', error);
-            settings = {};
+            console.error('Error parsing manifest:', error);
+            return null;
+        }
+        
+        if (!Array.isArray(manifest.items)) {
+            return null;
+        }
+        
+        this.setCached(cacheKey, manifest);
+        return manifest;
+    }
+
+    async listSlugs(collection) {
+        const manifest = await this.loadManifest(collection);
+        if (manifest) {
+            return manifest.items.map(item => item.slug);
+        }
+        
+        // No manifest: fall back to the dev server's directory listing
+        const files = await this.listFiles(`${this.baseUrl}${collection}/`);
+        return files
+            .filter(file => file.endsWith('.md'))
+            .map(file => file.replace('.md', ''));
+    }
+
+    // Files of the settings collection: 'global', 'calculator', 'forms'.
+    // content/<locale>/settings/<name>.yml overrides fields for other locales.
+    async loadSettings(name = 'global') {
+        const cacheKey = `settings:${this.locale}:${name}`;
+        const cached = this.getCached(cacheKey);
+        
+        if (cached) {
+            return cached;
+        }
+        
+        const filePath = `${this.baseUrl}settings/${name}.yml`;
+        const content = await this.fetchFile(filePath);
+        
+        if (!content) {
+            return null;
+        }
+        
+        let settings = this.parseYaml(content, this.relativePath(filePath)) || {};
+        
+        if (this.locale !== this.defaultLocale) {
+            const localizedPath = `${this.baseUrl}${this.getLocalePath('settings')}/${name}.yml`;
+            const localized = await this.fetchFile(localizedPath);
+            const translation = localized ? this.parseYaml(localized, this.relativePath(localizedPath)) : null;
+            if (translation) {
+                settings = this.mergeLocalized(settings, translation);
+            }
         }
         
         this.setCached(cacheKey, settings);
         return settings;
     }
 
-    async listFiles(dirPath) {
-        try {
-            const response = await fetch(dirPath);
-            if (!response.ok) {
-                return [];
+    listFiles(dirPath) {
+        return this.fetcher.list(dirPath);
+    }
+
+    // Validate every entry against admin/config.yml; returns a list of
+    // { file, field, message, severity } issues
+    async validateContent() {
+        if (typeof ContentValidator === 'undefined') {
+            await this.loadScript(this.validatorScript);
+        }
+        
+        const configContent = await this.fetchFile(this.configPath);
+        if (!configContent) {
+            return [];
+        }
+        
+        const config = this.parsers.yaml(configContent);
+        const validator = new ContentValidator(config);
+        const issues = [];
+        
+        for (const collection of config.collections || []) {
+            if (collection.files) {
+                for (const entry of collection.files) {
+                    const content = await this.fetchFile(`/${entry.file}`);
+                    if (!content) continue;
+                    
+                    let data;
+                    try {
+                        data = this.parsers.yaml(content) || {};
+                    } catch (error) {
+                        issues.push(FrontmatterParser.fromError(error, content, entry.file));
+                        continue;
+                    }
+                    issues.push(...validator.validateEntry(collection.name, data, entry.file, entry.name));
+                }
+                continue;
             }
             
-            const text = await response.text();
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(text, 'text/html');
-            
-            const links = doc.querySelectorAll('a');
-            return Array.from(links).map(link => link.textContent);
-        } catch (error) {
-            console.error('Error listing files:', error);
-            return [];
+            // Translation collections live in content/<locale>/<collection>
+            const slugs = await this.listSlugs(collection.folder.replace(/^content\//, ''));
+            for (const slug of slugs) {
+                const file = `${collection.folder}/${slug}.${collection.extension || 'md'}`;
+                const content = await this.fetchFile(`/${file}`);
+                if (!content) continue;
+                
+                const parsed = this.parseFrontmatter(content, file);
+                if (parsed.error) {
+                    issues.push(parsed.error);
+                    continue;
+                }
+                
+                const data = { ...parsed.frontmatter };
+                if (parsed.body.trim()) {
+                    data.body = parsed.body.trim();
+                }
+                issues.push(...validator.validateEntry(collection.name, data, file));
+            }
+        }
+        
+        issues.push(...await this.findDanglingReferences());
+        
+        if (this.devMode) {
+            issues.forEach(issue => console.warn(ContentValidator.format(issue)));
         }
+        
+        return issues;
     }
 
     getCached(key) {
@@ -231,147 +643,434 @@ class CMSLoader {
     // Fallback content for when CMS is unavailable
     getFallbackContent(collection, slug) {
         const fallbacks = {
-            services: {
-                'remont-kvartir': {
-                    title: 'Ремонт квартир',
-                    description: 'Качественный ремонт любой сложности',
-                    body: '<p>Профессиональный ремонт квартир любой сложности. От косметического обновления до полного евроремонта с перепланировкой.</p>',
-                    icon: '🔧'
+            ru: {
+                services: {
+                    'remont-kvartir': {
+                        title: 'Ремонт квартир',
+                        description: 'Качественный ремонт любой сложности',
+                        body: '<p>Профессиональный ремонт квартир любой сложности. От косметического обновления до полного евроремонта с перепланировкой.</p>',
+                        icon: '🔧'
+                    }
+                },
+                portfolio: {
+                    'dom-podmoskovye': {
+                        title: 'Жилой дом в Подмосковье',
+                        description: 'Строительство двухэтажного жилого дома',
+                        body: '<p>Построен двухэтажный жилой дом площадью 250 м². Выполнены все работы: фундамент, стены, кровля, внешняя и внутренняя отделка.</p>',
+                        type: 'Дом'
+                    }
                 }
             },
-            portfolio: {
-                'dom-podmoskovye': {
-                    title: 'Жилой дом в Подмосковье',
-                    description: 'Строительство двухэтажного жилого дома',
-                    body: '<p>Построен двухэтажный жилой дом площадью 250 м². Выполнены все работы: фундамент, стены, кровля, внешняя и внутренняя отделка.</p>',
-                    category: 'Строительство'
+            en: {
+                services: {
+                    'remont-kvartir': {
+                        title: 'Apartment renovation',
+                        description: 'Quality renovation of any complexity',
+                        body: '<p>Professional apartment renovation of any complexity, from a cosmetic refresh to a full renovation with a new layout.</p>',
+                        icon: '🔧'
+                    }
+                },
+                portfolio: {
+                    'dom-podmoskovye': {
+                        title: 'Family house near Moscow',
+                        description: 'Construction of a two-storey family house',
+                        body: '<p>A two-storey house of 250 m². We did all the work: foundation, walls, roof, exterior and interior finishing.</p>',
+                        type: 'Дом'
+                    }
                 }
             }
         };
+        const localized = fallbacks[this.locale] || fallbacks[this.defaultLocale];
         
-        return fallbacks[collection]?.[slug] || null;
+        return localized[collection]?.[slug] || null;
     }
 
     // Utility methods for common operations
+    // Renderers return Template.html results: interpolated values are escaped,
+    // Markdown bodies are already sanitized by parseMarkdown and opted in with raw()
+    getItemUrl(collection, slug) {
+        const localized = this.locale !== this.defaultLocale;
+        
+        if (this.prettyUrls) {
+            // Pages sit at the root: /garantii/ rather than /pages/garantii/
+            const section = collection === 'pages' ? '' : `/${collection}`;
+            return `${localized ? `/${this.locale}` : ''}${section}/${encodeURIComponent(slug)}/`;
+        }
+        
+        const pages = {
+            services: '/service.html',
+            portfolio: '/project.html',
+            pages: '/page.html'
+        };
+        const lang = localized ? `&lang=${this.locale}` : '';
+        return `${pages[collection] || '/'}?slug=${encodeURIComponent(slug)}${lang}`;
+    }
+
+    // Homepage in this loader's locale, with an optional #section
+    getHomeUrl(hash = '') {
+        if (this.locale === this.defaultLocale) {
+            return `/${hash}`;
+        }
+        return this.prettyUrls ? `/${this.locale}/${hash}` : `/?lang=${this.locale}${hash}`;
+    }
+
+    getWhatsappUrl(value) {
+        return value ? Bindings.formatters.whatsapp(value) : value;
+    }
+
+    formatPriceRange(item) {
+        if (!item.price_from && !item.price_to) {
+            return '';
+        }
+        
+        const from = item.price_from ? '₽' + I18n.formatNumber(item.price_from, this.locale) : '';
+        const to = item.price_to ? '₽' + I18n.formatNumber(item.price_to, this.locale) : '';
+        return [from, to].filter(Boolean).join(' - ');
+    }
+
+    createSocialLinks(settings) {
+        const social = settings.social_links || {};
+        const links = [
+            { label: 'VK', short: 'VK', url: social.vk || settings.vk },
+            { label: 'WhatsApp', short: 'WA', url: this.getWhatsappUrl(social.whatsapp || settings.whatsapp) },
+            { label: 'Instagram', short: 'IG', url: social.instagram },
+            { label: 'Facebook', short: 'FB', url: social.facebook }
+        ];
+        
+        return links
+            .filter(link => link.url)
+            .map(link => Template.html`<a href="${link.url}" target="_blank" rel="noopener" aria-label="${link.label}">${link.short}</a>`);
+    }
+
     createServiceCard(service) {
-        return `
-            <div class="service-card">
+        const { html } = Template;
+        const price = this.formatPriceRange(service);
+        
+        return html`
+            <div class="service-card" data-animate="fade-up">
                 <div class="service-icon">${service.icon || '⭐'}</div>
                 <h3 class="service-title">${service.title}</h3>
                 <p class="service-description">${service.description}</p>
-                ${service.price_from || service.price_to ? `
-                    <p class="service-price">
-                        ${service.price_from ? '№' + service.price_from.toLocaleString() : ''}
-                        ${service.price_from && service.price_to ? ' - ' : ''}
-                        ${service.price_to ? '№' + service.price_to.toLocaleString() : ''}
-                    </p>
-                ` : ''}
-                <a href="#" class="service-link" data-slug="${service.slug}">Подробнее →</a>
+                ${price ? html`<p class="service-price">${price}</p>` : ''}
+                <a href="${this.getItemUrl('services', service.slug)}" class="service-link" data-slug="${service.slug}">${this.t('service.more')}</a>
             </div>
         `;
     }
 
+    // <picture> with AVIF/WebP srcsets, the intrinsic size and a blurred
+    // placeholder when the image is in the manifest, a plain <img> otherwise.
+    // sizes is the rendered width, as in the srcset spec.
+    createImage(src, { alt = '', sizes = '100vw', className = '', loading = 'lazy' } = {}) {
+        const { html } = Template;
+        const image = this.images[src];
+        const img = html`<img src="${src}" alt="${alt}"${className ? html` class="${className}"` : ''} loading="${loading}"${image ? html`
+                     width="${image.width}" height="${image.height}" style="background: url('${image.placeholder}') center / cover"` : ''}>`;
+        
+        if (!image) {
+            return img;
+        }
+        return html`<picture>${image.sources.map(source => html`<source type="${source.type}" srcset="${source.srcset}" sizes="${sizes}">`)}${img}</picture>`;
+    }
+
+    // WebP candidates for the lightbox, which shows a bare <img>
+    getSrcset(src) {
+        const image = this.images[src];
+        const source = image && image.sources.find(candidate => candidate.type === 'image/webp');
+        return source ? source.srcset : '';
+    }
+
     createPortfolioItem(project) {
-        return `
-            <div class="portfolio-item">
-                <img src="${project.image || '/assets/images/placeholder.jpg'}" 
-                     alt="${project.title}" 
-                     class="portfolio-img" 
-                     loading="lazy">
+        const { html } = Template;
+        const type = project.type || project.category;
+        const square = project.square || project.area;
+        
+        return html`
+            <a href="${this.getItemUrl('portfolio', project.slug)}" class="portfolio-item" data-animate="zoom-in">
+                ${this.createImage(project.image || this.placeholderImage, {
+                    alt: project.title,
+                    className: 'portfolio-img',
+                    sizes: '(max-width: 768px) 100vw, 50vw'
+                })}
                 <div class="portfolio-overlay">
-                    <span class="portfolio-category">${project.category}</span>
+                    ${type ? html`<span class="portfolio-category">${type}</span>` : ''}
                     <h3 class="portfolio-title">${project.title}</h3>
-                    <p class="portfolio-location">${project.location}</p>
-                    ${project.area ? `<p class="portfolio-area">${project.area} м²</p>` : ''}
+                    ${project.location ? html`<p class="portfolio-location">${project.location}</p>` : ''}
+                    ${square ? html`<p class="portfolio-area">${this.t('common.sqm', { value: square })}</p>` : ''}
+                    ${project.before_after ? html`<span class="portfolio-badge">${this.t('project.beforeAfter')}</span>` : ''}
                 </div>
+            </a>
+        `;
+    }
+
+    // Detail markup shared by service.html/project.html and the static build
+    createReviewItem(review) {
+        const { html, raw } = Template;
+        
+        return html`
+            <div class="review-item">
+                <blockquote class="review-text">${raw(review.body)}</blockquote>
+                <p class="review-author">— ${review.title}</p>
+                ${review.project_type ? html`<p class="review-type">${review.project_type}</p>` : ''}
             </div>
         `;
     }
 
-    // Event handlers for dynamic content
-    setupServiceLinks() {
-        document.addEventListener('click', (e) => {
-            if (e.target.closest('.service-link')) {
-                e.preventDefault();
-                const link = e.target.closest('.service-link');
-                const slug = link.dataset.slug;
-                if (slug) {
-                    this.loadServicePage(slug);
-                }
-            }
-        });
+    createTeamMember(member) {
+        const { html, raw } = Template;
+        
+        return html`
+            <div class="team-member">
+                ${member.image ? html`<img src="${member.image}" alt="${member.title}" class="team-photo" loading="lazy">` : ''}
+                <h3 class="team-name">${member.title}</h3>
+                ${member.position ? html`<p class="team-position">${member.position}</p>` : ''}
+                ${member.body ? html`<div class="team-bio">${raw(member.body)}</div>` : ''}
+            </div>
+        `;
     }
 
-    async loadServicePage(slug) {
-        const service = await this.loadContent('services', slug);
-        if (!service) {
-            console.error('Service not found:', slug);
-            return;
-        }
+    // Gallery entries are { image, caption }; older ones are bare image paths.
+    // Links open the photo itself without JavaScript and in src/js/lightbox.js with it.
+    createGalleryItems(gallery, title) {
+        const { html } = Template;
         
-        // Create service detail page
-        const html = `
-            <!DOCTYPE html>
-            <html lang="ru">
-            <head>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <title>${service.title} - ${service.site_title || 'АСБ РУМ ПРО'}</title>
-                <meta name="description" content="${service.description}">
-                <link rel="stylesheet" href="/src/css/main.css">
-                <script src="https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.2/gsap.min.js"></script>
-            </head>
-            <body>
-                <nav class="nav">
-                    <a href="/" class="nav-logo">АСБ <span>РУМ</span> ПРО</a>
-                    <a href="/" class="nav-back">← Вернуться на главную</a>
-                </nav>
-                
-                <section class="service-detail">
-                    <div class="container">
-                        <div class="service-header">
-                            <div class="service-icon">${service.icon || '⭐'}</div>
-                            <h1 class="service-title">${service.title}</h1>
-                            <p class="service-description">${service.description}</p>
-                        </div>
-                        
-                        <div class="service-content">
-                            ${service.body}
-                        </div>
-                        
-                        ${service.price_from || service.price_to ? `
-                            <div class="service-pricing">
-                                <h3>Стоимость работ</h3>
-                                <p>
-                                    ${service.price_from ? '№' + service.price_from.toLocaleString() : ''}
-                                    ${service.price_from && service.price_to ? ' - ' : ''}
-                                    ${service.price_to ? '№' + service.price_to.toLocaleString() : ''}
-                                </p>
+        return gallery
+            .map(item => (typeof item === 'string' ? { image: item } : item))
+            .filter(item => item && item.image)
+            .map(item => html`
+                <a href="${item.image}" class="gallery-item" data-lightbox ${item.caption ? html`data-caption="${item.caption}"` : ''}
+                   ${this.images[item.image] ? html`data-srcset="${this.getSrcset(item.image)}"` : ''}>
+                    ${this.createImage(item.image, { alt: item.caption || title, sizes: '(max-width: 768px) 50vw, 400px' })}
+                </a>
+            `);
+    }
+
+    // related is getRelated('services', slug): the projects shown under "Our work"
+    createServiceDetail(service, related = []) {
+        const { html, raw } = Template;
+        const price = this.formatPriceRange(service);
+        const gallery = service.gallery || [];
+        const features = service.features || [];
+        const faq = service.faq || [];
+        const projects = related.filter(item => item.collection === 'portfolio');
+        
+        return html`
+            <div class="service-header">
+                <div class="service-icon">${service.icon || '⭐'}</div>
+                <h1 class="service-title">${service.title}</h1>
+                <p class="service-description">${service.description}</p>
+            </div>
+            
+            <div class="service-content">
+                ${raw(service.body)}
+            </div>
+            
+            ${price ? html`
+                <div class="service-pricing">
+                    <h3>${this.t('service.pricing')}</h3>
+                    <p>${price}</p>
+                </div>
+            ` : ''}
+            
+            ${gallery.length ? html`
+                <div class="service-gallery">
+                    <h3>${this.t('service.gallery')}</h3>
+                    <div class="gallery-grid">
+                        ${this.createGalleryItems(gallery, service.title)}
+                    </div>
+                </div>
+            ` : ''}
+            
+            ${features.length ? html`
+                <div class="service-features">
+                    <h3>${this.t('service.features')}</h3>
+                    <ul class="features-list">
+                        ${features.map(item => html`<li>${item.feature}</li>`)}
+                    </ul>
+                </div>
+            ` : ''}
+            
+            ${faq.length ? html`
+                <div class="service-faq">
+                    <h3>${this.t('service.faq')}</h3>
+                    <div class="faq-list">
+                        ${faq.map(item => html`
+                            <div class="faq-item">
+                                <h4 class="faq-question">${item.question}</h4>
+                                <div class="faq-answer">${raw(this.parseMarkdown(item.answer || ''))}</div>
                             </div>
-                        ` : ''}
-                        
-                        <div class="service-cta">
-                            <a href="/#contact" class="btn btn-primary">Заказать услугу</a>
-                            <a href="/" class="btn btn-outline">На главную</a>
+                        `)}
+                    </div>
+                </div>
+            ` : ''}
+            
+            ${projects.length ? html`
+                <div class="service-projects">
+                    <h3>${this.t('service.projects')}</h3>
+                    <div class="portfolio-scroll">
+                        ${projects.map(project => this.createPortfolioItem(project))}
+                    </div>
+                </div>
+            ` : ''}
+            
+            <div class="service-cta">
+                <a href="${this.getHomeUrl('#contact')}" class="btn btn-primary">${this.t('service.order')}</a>
+                <a href="${this.getHomeUrl()}" class="btn btn-outline">${this.t('common.home')}</a>
+            </div>
+        `;
+    }
+
+    // related is getRelated('portfolio', slug): the services linked under the description
+    createProjectDetail(project, related = []) {
+        const { html, raw } = Template;
+        const gallery = project.gallery || [];
+        const beforeAfter = project.before_after;
+        const testimonial = project.testimonial;
+        const services = related.filter(item => item.collection === 'services');
+        // Older entries use category/area, as in createPortfolioItem
+        const type = project.type || project.category;
+        const square = project.square || project.area;
+        
+        return html`
+            <div class="project-header">
+                <div class="project-meta">
+                    ${type ? html`<span class="project-type">${type}</span>` : ''}
+                    ${project.year ? html`<span class="project-year">${project.year}</span>` : ''}
+                    ${square ? html`<span class="project-area">${this.t('common.sqm', { value: square })}</span>` : ''}
+                    ${project.duration ? html`<span class="project-duration">${project.duration}</span>` : ''}
+                </div>
+                <h1 class="project-title">${project.title}</h1>
+                ${project.location ? html`<p class="project-location">${project.location}</p>` : ''}
+            </div>
+            
+            ${beforeAfter ? html`
+                <div class="project-before-after">
+                    <h3>${this.t('project.beforeAfter')}</h3>
+                    <div class="before-after" data-before-after>
+                        <img src="${beforeAfter.after}" alt="${this.t('project.after')}" class="before-after-image" draggable="false">
+                        <div class="before-after-before">
+                            <img src="${beforeAfter.before}" alt="${this.t('project.before')}" class="before-after-image" draggable="false">
                         </div>
+                        <span class="before-after-label is-before">${this.t('project.before')}</span>
+                        <span class="before-after-label is-after">${this.t('project.after')}</span>
+                        <span class="before-after-handle" aria-hidden="true"></span>
+                        <input type="range" class="before-after-range" min="0" max="100" value="50"
+                               aria-label="${this.t('project.compare')}">
+                    </div>
+                </div>
+            ` : ''}
+            
+            ${gallery.length ? html`
+                <div class="project-gallery">
+                    <h3>${this.t('project.gallery')}</h3>
+                    <div class="gallery-grid">
+                        ${this.createGalleryItems(gallery, project.title)}
                     </div>
-                </section>
-            </body>
-            </html>
+                </div>
+            ` : ''}
+            
+            <div class="project-content">
+                ${raw(project.body)}
+            </div>
+            
+            ${services.length ? html`
+                <div class="project-services">
+                    <h3>${this.t('project.services')}</h3>
+                    <ul class="project-services-list">
+                        ${services.map(service => html`
+                            <li><a href="${this.getItemUrl('services', service.slug)}">${service.icon ? html`<span aria-hidden="true">${service.icon}</span> ` : ''}${service.title}</a></li>
+                        `)}
+                    </ul>
+                </div>
+            ` : ''}
+            
+            ${testimonial ? html`
+                <div class="project-testimonial">
+                    <h3>${this.t('project.testimonial')}</h3>
+                    <div class="testimonial-content">
+                        <p class="testimonial-text">${testimonial.text}</p>
+                        <div class="testimonial-author">
+                            <span class="author-name">${testimonial.author}</span>
+                            ${testimonial.date ? html`<span class="author-date">${this.formatDate(testimonial.date)}</span>` : ''}
+                        </div>
+                    </div>
+                </div>
+            ` : ''}
+            
+            <div class="project-cta">
+                <a href="${this.getHomeUrl('#portfolio')}" class="btn btn-outline">${this.t('project.back')}</a>
+                <a href="${this.getHomeUrl('#contact')}" class="btn btn-primary">${this.t('project.discuss')}</a>
+            </div>
         `;
+    }
+
+    createPageDetail(page) {
+        const { html, raw } = Template;
         
-        // Create and open new window
-        const win = window.open();
-        win.document.write(html);
-        win.document.close();
+        return html`
+            <div class="page-header">
+                <h1 class="page-title">${page.title}</h1>
+            </div>
+            
+            <div class="page-content">
+                ${raw(page.body)}
+            </div>
+        `;
+    }
+
+    // Pages with show_in_menu, in menu_order
+    async loadMenu() {
+        const { items } = await this.query('pages', { where: { show_in_menu: true } });
+        return items.map(page => ({ title: page.title, url: this.getItemUrl('pages', page.slug) }));
+    }
+
+    createMenuItems(menu) {
+        return menu.map(item => Template.html`<li data-menu-item><a href="${item.url}">${item.title}</a></li>`);
+    }
+
+    // Appends CMS pages to every <ul data-menu> after its built-in links
+    async renderMenus(root = document) {
+        const lists = root.querySelectorAll('[data-menu]');
+        if (!lists.length) {
+            return;
+        }
+        
+        const items = this.createMenuItems(await this.loadMenu()).join('');
+        lists.forEach(list => {
+            list.querySelectorAll('[data-menu-item]').forEach(item => item.remove());
+            list.insertAdjacentHTML('beforeend', items);
+        });
+    }
+
+    // Fills data-cms bindings (src/js/bindings.js) from the global settings
+    async bindSettings(root = document) {
+        const settings = await this.loadSettings();
+        if (settings) {
+            Bindings.apply(root, { settings });
+        }
+    }
+
+    formatDate(value) {
+        if (value instanceof Date) {
+            return value.toLocaleDateString(I18n.tag(this.locale));
+        }
+        return value || '';
     }
 }
 
 // Initialize CMS loader when DOM is ready
 if (typeof document !== 'undefined') {
     document.addEventListener('DOMContentLoaded', () => {
-        window.cmsLoader = new CMSLoader();
-        window.cmsLoader.init();
+        // Links are clean URLs; Router renders them (see /src/js/router.js)
+        window.cmsLoader = new CMSLoader({ prettyUrls: true });
+        // Page scripts await this before loading content
+        window.cmsLoader.ready = window.cmsLoader.init();
+        
+        // Pre-rendered pages have their menus and bindings built in
+        if (!document.documentElement.hasAttribute('data-prerendered')) {
+            window.cmsLoader.ready
+                .then(() => Promise.all([window.cmsLoader.bindSettings(), window.cmsLoader.renderMenus()]))
+                .catch(error => console.error('Error rendering menus and bindings:', error));
+        }
     });
 }
 
@@ -0,0 +1,153 @@
+// Decap CMS previews
+// Preview templates for /admin/ that render the entry being edited with the
+// same CMSLoader methods as the site and the static build, inside the same
+// section markup and with the site's stylesheet, so the preview is what
+// gets published. Translation collections (services_en, ...) preview in
+// their locale.
+
+const CMSPreview = {
+    // Injected into the preview iframe
+    styles: [
+        'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=Playfair+Display:wght@400;500;600;700&display=swap',
+        '/src/css/main.css'
+    ],
+
+    // Fields holding media paths; unsaved uploads only exist as blob: URLs from getAsset
+    imageFields: ['image', 'before', 'after'],
+
+    // js-yaml reads these as Date objects on the site; the editor gives strings
+    dateFields: ['date'],
+
+    // Collection -> markup around the rendered entry, as on the live pages
+    templates: {
+        services(loader, item) {
+            const { html } = Template;
+            return html`
+                <section class="services">
+                    <div class="container">
+                        <div class="services-grid">${loader.createServiceCard(item)}</div>
+                    </div>
+                </section>
+                <section class="service-detail">
+                    <div class="container">${loader.createServiceDetail(item)}</div>
+                </section>
+            `;
+        },
+
+        portfolio(loader, item) {
+            const { html } = Template;
+            return html`
+                <section class="portfolio">
+                    <div class="container">
+                        <div class="portfolio-scroll">${loader.createPortfolioItem(item)}</div>
+                    </div>
+                </section>
+                <section class="project-detail">
+                    <div class="container">${loader.createProjectDetail(item)}</div>
+                </section>
+            `;
+        },
+
+        pages(loader, item) {
+            return Template.html`
+                <section class="page-detail">
+                    <div class="container">${loader.createPageDetail(item)}</div>
+                </section>
+            `;
+        },
+
+        reviews(loader, item) {
+            return Template.html`
+                <section class="reviews">
+                    <div class="container">
+                        <div class="reviews-slider">
+                            <div class="reviews-track">${loader.createReviewItem(item)}</div>
+                        </div>
+                    </div>
+                </section>
+            `;
+        }
+    },
+
+    // Decap's entry (an Immutable map) -> the item shape loadContent() returns
+    toItem(loader, collection, entry, getAsset) {
+        const data = CMSPreview.normalize(entry.get('data').toJS(), getAsset);
+        const body = data.body || '';
+
+        return {
+            ...data,
+            body: loader.parseMarkdown(body),
+            rawBody: body,
+            collection,
+            slug: data.slug || entry.get('slug') || 'preview',
+            locale: loader.locale
+        };
+    },
+
+    normalize(value, getAsset, key = null) {
+        if (Array.isArray(value)) {
+            // Older galleries are bare image paths
+            return value.map(item => CMSPreview.normalize(item, getAsset, key === 'gallery' ? 'image' : null));
+        }
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, CMSPreview.normalize(item, getAsset, name)]));
+        }
+        if (typeof value !== 'string' || !value) {
+            return value;
+        }
+        if (CMSPreview.imageFields.includes(key)) {
+            const asset = getAsset(value);
+            return asset ? String(asset.url || asset) : value;
+        }
+        if (CMSPreview.dateFields.includes(key) && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+            const date = new Date(value);
+            return Number.isNaN(date.getTime()) ? value : date;
+        }
+        return value;
+    },
+
+    // { createClass, h } are the React helpers Decap exposes as globals
+    register(CMS, { createClass, h }) {
+        // Only the admin page trusts blob: URLs, for images that aren't uploaded yet
+        Template.allowedSchemes = [...Template.allowedSchemes, 'blob'];
+
+        CMSPreview.styles.forEach(style => CMS.registerPreviewStyle(style));
+
+        Object.keys(I18n.locales).forEach(locale => {
+            const loader = new CMSLoader({ locale });
+            const suffix = locale === I18n.defaultLocale ? '' : `_${locale}`;
+
+            Object.entries(CMSPreview.templates).forEach(([collection, template]) => {
+                CMS.registerPreviewTemplate(`${collection}${suffix}`, createClass({
+                    // The iframe runs no site scripts, so widgets are set up here
+                    componentDidMount() {
+                        CMSPreview.enhance(this.root);
+                    },
+
+                    componentDidUpdate() {
+                        CMSPreview.enhance(this.root);
+                    },
+
+                    render() {
+                        const item = CMSPreview.toItem(loader, collection, this.props.entry, this.props.getAsset);
+                        return h('div', {
+                            ref: element => { this.root = element; },
+                            dangerouslySetInnerHTML: { __html: String(template(loader, item)) }
+                        });
+                    }
+                }));
+            });
+        });
+    },
+
+    enhance(root) {
+        if (root && typeof BeforeAfter !== 'undefined') {
+            BeforeAfter.init(root);
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CMSPreview;
+}
@@ -0,0 +1,133 @@
+// Content Cache
+// Persists fetched content files in localStorage so they survive page
+// navigation. Entries keep their ETag/Last-Modified for revalidation;
+// HttpFetcher (src/js/cms-adapters.js) decides when to serve them stale.
+
+class ContentCache {
+    constructor(options = {}) {
+        this.prefix = options.prefix || 'asb-cms:';
+        this.freshTime = options.freshTime ?? 5 * 60 * 1000; // 5 minutes: served without a request
+        this.maxAge = options.maxAge ?? 7 * 24 * 60 * 60 * 1000; // 7 days: served stale while revalidating
+        this.storage = this.detectStorage();
+        this.memory = new Map();
+    }
+
+    // localStorage can be missing (Node) or throw (Safari private mode, disabled cookies)
+    detectStorage() {
+        try {
+            const storage = window.localStorage;
+            const probe = `${this.prefix}__probe`;
+            storage.setItem(probe, '1');
+            storage.removeItem(probe);
+            return storage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    read(key) {
+        if (!this.storage) {
+            return this.memory.get(key) ?? null;
+        }
+
+        try {
+            const value = this.storage.getItem(this.prefix + key);
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    write(key, value) {
+        if (!this.storage) {
+            this.memory.set(key, value);
+            return;
+        }
+
+        try {
+            this.storage.setItem(this.prefix + key, JSON.stringify(value));
+        } catch (error) {
+            // Quota exceeded: drop everything we own and try once more
+            this.purge();
+            try {
+                this.storage.setItem(this.prefix + key, JSON.stringify(value));
+            } catch (retryError) {
+                console.warn('Content cache is full:', retryError);
+            }
+        }
+    }
+
+    erase(key) {
+        if (this.storage) {
+            this.storage.removeItem(this.prefix + key);
+        } else {
+            this.memory.delete(key);
+        }
+    }
+
+    get(url) {
+        return this.read(`file:${url}`);
+    }
+
+    set(url, { data, etag = null, lastModified = null }) {
+        this.write(`file:${url}`, { data, etag, lastModified, timestamp: Date.now() });
+    }
+
+    // Forget a file that was deleted on the server
+    remove(url) {
+        this.erase(`file:${url}`);
+    }
+
+    // Mark an entry as just revalidated (304 Not Modified)
+    touch(url) {
+        const entry = this.get(url);
+        if (entry) {
+            this.write(`file:${url}`, { ...entry, timestamp: Date.now() });
+        }
+    }
+
+    isFresh(entry) {
+        return Date.now() - entry.timestamp < this.freshTime;
+    }
+
+    isExpired(entry) {
+        return Date.now() - entry.timestamp > this.maxAge;
+    }
+
+    getVersion() {
+        return this.read('version');
+    }
+
+    setVersion(version) {
+        this.write('version', version);
+    }
+
+    keys() {
+        if (!this.storage) {
+            return Array.from(this.memory.keys());
+        }
+
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(this.prefix)) {
+                keys.push(key.slice(this.prefix.length));
+            }
+        }
+        return keys;
+    }
+
+    // Remove cached files; the stored content version is kept
+    purge() {
+        const keys = this.keys().filter(key => key.startsWith('file:'));
+
+        keys.forEach(key => this.erase(key));
+
+        return keys.length;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContentCache;
+}
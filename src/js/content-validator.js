@@ -0,0 +1,191 @@
+// Content Validator
+// Checks CMS entries against the collection fields declared in admin/config.yml
+
+class ContentValidator {
+    constructor(config) {
+        this.config = config || {};
+        this.collections = this.config.collections || [];
+    }
+
+    getCollection(name) {
+        return this.collections.find(collection => collection.name === name) || null;
+    }
+
+    // Fields of a folder collection, or of one file inside a file collection
+    getFields(collectionName, fileName) {
+        const collection = this.getCollection(collectionName);
+        if (!collection) {
+            return null;
+        }
+
+        if (collection.files) {
+            const file = collection.files.find(entry => entry.name === fileName || entry.file === fileName);
+            return file ? file.fields || [] : null;
+        }
+
+        return collection.fields || [];
+    }
+
+    validateEntry(collectionName, data, file, fileName) {
+        const fields = this.getFields(collectionName, fileName);
+        if (!fields) {
+            return [this.issue(file, null, `Unknown collection "${collectionName}"`, 'error')];
+        }
+
+        return this.validateFields(fields, data || {}, file, '');
+    }
+
+    validateFields(fields, data, file, prefix) {
+        const issues = [];
+        const known = new Set(fields.map(field => field.name));
+
+        fields.forEach(field => {
+            const path = prefix + field.name;
+            const value = data[field.name];
+
+            if (this.isEmpty(value)) {
+                if (this.isRequired(field)) {
+                    issues.push(this.issue(file, path, 'Required field is missing', 'error'));
+                }
+                return;
+            }
+
+            issues.push(...this.validateValue(field, value, file, path));
+        });
+
+        Object.keys(data).forEach(key => {
+            if (!known.has(key)) {
+                issues.push(this.issue(file, prefix + key, 'Field is not defined in admin/config.yml', 'warning'));
+            }
+        });
+
+        return issues;
+    }
+
+    validateValue(field, value, file, path) {
+        const widget = field.widget || 'string';
+
+        switch (widget) {
+            case 'string':
+            case 'text':
+            case 'markdown':
+            case 'image':
+            case 'file':
+            case 'color':
+                return typeof value === 'string'
+                    ? []
+                    : [this.issue(file, path, `Expected text for "${widget}" widget, got ${this.describe(value)}`, 'error')];
+
+            case 'number':
+                return typeof value === 'number' && !Number.isNaN(value)
+                    ? []
+                    : [this.issue(file, path, `Expected a number, got ${this.describe(value)}`, 'error')];
+
+            case 'boolean':
+                return typeof value === 'boolean'
+                    ? []
+                    : [this.issue(file, path, `Expected true or false, got ${this.describe(value)}`, 'error')];
+
+            case 'date':
+            case 'datetime':
+                return value instanceof Date || (typeof value === 'string' && !Number.isNaN(Date.parse(value)))
+                    ? []
+                    : [this.issue(file, path, `Expected a date, got ${this.describe(value)}`, 'error')];
+
+            case 'select':
+                return this.validateSelect(field, value, file, path);
+
+            case 'list':
+                return this.validateList(field, value, file, path);
+
+            case 'object':
+                if (!this.isPlainObject(value)) {
+                    return [this.issue(file, path, `Expected an object, got ${this.describe(value)}`, 'error')];
+                }
+                return this.validateFields(field.fields || [], value, file, `${path}.`);
+
+            default:
+                // Widgets without a shape we know (hidden, relation, custom) are accepted as-is
+                return [];
+        }
+    }
+
+    validateSelect(field, value, file, path) {
+        const options = (field.options || []).map(option => (this.isPlainObject(option) ? option.value : option));
+        const values = field.multiple ? value : [value];
+
+        if (field.multiple && !Array.isArray(value)) {
+            return [this.issue(file, path, `Expected a list of options, got ${this.describe(value)}`, 'error')];
+        }
+
+        return values
+            .filter(item => !options.includes(item))
+            .map(item => this.issue(file, path, `"${item}" is not one of: ${options.join(', ')}`, 'error'));
+    }
+
+    validateList(field, value, file, path) {
+        if (!Array.isArray(value)) {
+            return [this.issue(file, path, `Expected a list, got ${this.describe(value)}`, 'error')];
+        }
+
+        const issues = [];
+        value.forEach((item, index) => {
+            const itemPath = `${path}[${index}]`;
+
+            if (field.fields) {
+                if (!this.isPlainObject(item)) {
+                    issues.push(this.issue(file, itemPath, `Expected an object, got ${this.describe(item)}`, 'error'));
+                    return;
+                }
+                issues.push(...this.validateFields(field.fields, item, file, `${itemPath}.`));
+            } else if (field.field) {
+                // Single-field lists are stored either as plain values or as { name: value }
+                if (this.isPlainObject(item)) {
+                    issues.push(...this.validateFields([field.field], item, file, `${itemPath}.`));
+                } else {
+                    issues.push(...this.validateValue(field.field, item, file, itemPath));
+                }
+            } else if (typeof item !== 'string') {
+                issues.push(this.issue(file, itemPath, `Expected text, got ${this.describe(item)}`, 'error'));
+            }
+        });
+
+        return issues;
+    }
+
+    isRequired(field) {
+        // Fields with a default are filled in by the CMS, so a missing key is fine
+        return field.required !== false && field.default === undefined && field.widget !== 'hidden';
+    }
+
+    isEmpty(value) {
+        return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+    }
+
+    describe(value) {
+        if (Array.isArray(value)) return 'a list';
+        if (value instanceof Date) return 'a date';
+        if (value === null) return 'null';
+        return `${typeof value} ${JSON.stringify(value)}`;
+    }
+
+    issue(file, field, message, severity) {
+        return { file, field, message, severity };
+    }
+
+    // Parse errors (src/js/frontmatter.js) also carry a line and column
+    static format(issue) {
+        const position = issue.line ? `:${issue.line}:${issue.column || 1}` : '';
+        const field = issue.field ? ` [${issue.field}]` : '';
+        return `${issue.severity.toUpperCase()} ${issue.file}${position}${field}: ${issue.message}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContentValidator;
+}
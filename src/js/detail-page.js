@@ -0,0 +1,37 @@
+// Detail pages
+// Shared start-up for service.html, project.html and page.html. Content comes
+// from the router: it renders this URL unless the static build already did,
+// and every link to a service, project or page after it.
+
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        await cmsLoader.ready;
+
+        // The router re-reads the gallery and #photo-N after each render
+        const lightbox = new Lightbox();
+        const router = new Router(cmsLoader, { lightbox });
+        window.router = router;
+        await router.start();
+
+        if (document.documentElement.hasAttribute('data-prerendered')) {
+            BeforeAfter.init();
+            return;
+        }
+
+        // Footer with dynamic data
+        const settings = await cmsLoader.loadSettings() || {};
+        const siteTitle = settings.site_title || 'АСБ РУМ ПРО';
+
+        const socialLinks = document.querySelector('.social-links');
+        if (socialLinks) {
+            socialLinks.innerHTML = cmsLoader.createSocialLinks(settings).join('');
+        }
+
+        const copyright = document.querySelector('.footer-bottom p');
+        if (copyright) {
+            copyright.textContent = I18n.t('common.rights', { year: new Date().getFullYear(), site: siteTitle });
+        }
+    } catch (error) {
+        console.error('Detail page failed to start:', error);
+    }
+});
@@ -0,0 +1,45 @@
+// Content diagnostics overlay
+// Dev mode only (localhost): CMSLoader loads this script the first time a
+// content file fails to parse and re-renders the panel for every new one,
+// so broken files are visible without opening the console.
+
+class DiagnosticsOverlay {
+    constructor() {
+        this.root = document.createElement('aside');
+        this.root.className = 'cms-diagnostics';
+        this.root.setAttribute('role', 'alert');
+
+        this.root.addEventListener('click', e => {
+            if (e.target.closest('.cms-diagnostics-close')) {
+                this.root.remove();
+            }
+        });
+    }
+
+    // Called once per new problem, so a closed panel comes back with it
+    render(diagnostics) {
+        const items = diagnostics.map(diagnostic => Template.html`
+            <li class="cms-diagnostics-item cms-diagnostics-${diagnostic.severity}">
+                <code>${diagnostic.file || '(unknown file)'}${diagnostic.line ? `:${diagnostic.line}:${diagnostic.column || 1}` : ''}</code>
+                <span>${diagnostic.message}</span>
+            </li>
+        `);
+
+        this.root.innerHTML = Template.html`
+            <div class="cms-diagnostics-header">
+                <strong>${diagnostics.length} content file(s) failed to load</strong>
+                <button type="button" class="cms-diagnostics-close" aria-label="Close">&times;</button>
+            </div>
+            <ul class="cms-diagnostics-list">${items}</ul>
+        `;
+
+        if (!this.root.isConnected) {
+            document.body.appendChild(this.root);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiagnosticsOverlay;
+}
@@ -0,0 +1,395 @@
+// Frontmatter
+// Splits a content file into its fields and Markdown body. Accepts a BOM,
+// CRLF line endings and an empty body, and three kinds of frontmatter:
+//
+//   ---               +++                {
+//   title: YAML       title = "TOML"     "title": "JSON"
+//   ---               +++                }
+//
+// An explicit format after the opening dashes (---json, ---toml) works too.
+// Problems come back as diagnostics, { file, line, column, message, severity },
+// with 1-based positions in the original file.
+
+const Frontmatter = {
+    // Opening line -> format and closing line
+    delimiters: {
+        '---': { format: 'yaml', close: '---' },
+        '+++': { format: 'toml', close: '+++' }
+    },
+
+    // yaml: the loader's YAML parser (CMSParsers.yaml)
+    parse(content, { file = null, yaml } = {}) {
+        const text = String(content ?? '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const lines = text.split('\n');
+        const failure = (message, line, column) => ({
+            frontmatter: {},
+            body: '',
+            format: null,
+            error: Frontmatter.diagnostic(file, message, line, column)
+        });
+
+        // Hugo-style JSON: an object literal up to the first line that is just "}"
+        if (lines[0].startsWith('{')) {
+            const end = lines.findIndex(line => line.trimEnd() === '}');
+            if (end === -1) {
+                return failure('JSON frontmatter opened on line 1 is never closed with }', 1, 1);
+            }
+            return Frontmatter.read('json', lines.slice(0, end + 1).join('\n'), lines.slice(end + 1).join('\n'), 0, { file, yaml });
+        }
+
+        const opening = lines[0].trimEnd().match(/^(---|\+\+\+)(yaml|json|toml)?$/);
+        if (!opening) {
+            return failure('Missing frontmatter: the file must start with ---', 1, 1);
+        }
+
+        const { format, close } = Frontmatter.delimiters[opening[1]];
+        const end = lines.findIndex((line, index) => index > 0 && line.trimEnd() === close);
+        if (end === -1) {
+            return failure(`Frontmatter opened on line 1 is never closed with ${close}`, 1, 1);
+        }
+
+        return Frontmatter.read(opening[2] || format, lines.slice(1, end).join('\n'), lines.slice(end + 1).join('\n'), 1, { file, yaml });
+    },
+
+    // lineOffset: lines of the file before the frontmatter source
+    read(format, source, body, lineOffset, { file, yaml }) {
+        let frontmatter;
+        try {
+            frontmatter = Frontmatter.parsers[format](source, yaml);
+        } catch (error) {
+            return { frontmatter: {}, body: '', format, error: Frontmatter.fromError(error, source, file, lineOffset) };
+        }
+
+        if (frontmatter === undefined || frontmatter === null) {
+            frontmatter = {};
+        }
+        if (typeof frontmatter !== 'object' || Array.isArray(frontmatter)) {
+            return {
+                frontmatter: {},
+                body: '',
+                format,
+                error: Frontmatter.diagnostic(file, 'Frontmatter must be a set of fields, not a single value', lineOffset + 1, 1)
+            };
+        }
+
+        return { frontmatter, body, format, error: null };
+    },
+
+    parsers: {
+        yaml: (source, yaml) => yaml(source),
+        json: source => JSON.parse(source),
+        toml: source => Frontmatter.parseToml(source)
+    },
+
+    diagnostic(file, message, line, column, severity = 'error') {
+        return { file, field: null, line, column, message, severity };
+    },
+
+    // Position of a js-yaml, JSON.parse or parseToml error within source
+    fromError(error, source, file, lineOffset = 0) {
+        let line = 0;
+        let column = 0;
+        let message = error.message;
+
+        if (error.mark) {
+            // js-yaml: 0-based mark, message repeats the source excerpt
+            ({ line, column } = error.mark);
+            message = `Invalid YAML: ${error.reason || message}`;
+        } else if (error.line !== undefined) {
+            ({ line, column } = error);
+            message = `Invalid TOML: ${message}`;
+        } else if (error instanceof SyntaxError) {
+            const lineColumn = message.match(/line (\d+) column (\d+)/);
+            const offset = message.match(/position (\d+)/);
+            if (lineColumn) {
+                line = Number(lineColumn[1]) - 1;
+                column = Number(lineColumn[2]) - 1;
+            } else if (offset) {
+                const before = source.slice(0, Number(offset[1])).split('\n');
+                line = before.length - 1;
+                column = before[before.length - 1].length;
+            }
+            // V8 quotes the whole source in some messages
+            message = `Invalid JSON: ${message.replace(/\s*(in JSON )?at position \d+.*$/s, '').replace(/, (\.\.\.)?".*" is not valid JSON$/s, '')}`;
+        }
+
+        return Frontmatter.diagnostic(file, message, line + lineOffset + 1, column + 1);
+    },
+
+    // The subset of TOML 1.0 frontmatter needs: tables, arrays of tables, dotted
+    // keys, inline tables, all string kinds, numbers, booleans and dates.
+    // Errors carry 0-based line/column like js-yaml's mark.
+    parseToml(source) {
+        const root = {};
+        let table = root;
+        let pos = 0;
+
+        const fail = message => {
+            const before = source.slice(0, pos).split('\n');
+            const error = new Error(message);
+            error.line = before.length - 1;
+            error.column = before[before.length - 1].length;
+            throw error;
+        };
+        const peek = (length = 1) => source.slice(pos, pos + length);
+        const expect = token => {
+            if (peek(token.length) !== token) {
+                fail(`Expected "${token}"`);
+            }
+            pos += token.length;
+        };
+        const skipSpace = () => {
+            while (source[pos] === ' ' || source[pos] === '\t') pos++;
+        };
+        const skipComment = () => {
+            if (source[pos] === '#') {
+                while (pos < source.length && source[pos] !== '\n') pos++;
+            }
+        };
+        // Whitespace, new lines and comments, e.g. between array items
+        const skipBlank = () => {
+            while (pos < source.length) {
+                if (/\s/.test(source[pos])) {
+                    pos++;
+                } else if (source[pos] === '#') {
+                    skipComment();
+                } else {
+                    break;
+                }
+            }
+        };
+        const endOfLine = () => {
+            skipSpace();
+            skipComment();
+            if (pos < source.length && source[pos] !== '\n') {
+                fail('Expected the end of the line');
+            }
+            pos++;
+        };
+
+        const escapes = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+        const basicString = multiline => {
+            const quote = multiline ? '"""' : '"';
+            expect(quote);
+            if (multiline && source[pos] === '\n') pos++;
+
+            let result = '';
+            while (peek(quote.length) !== quote) {
+                const char = source[pos];
+                if (pos >= source.length || (!multiline && char === '\n')) {
+                    fail('Unterminated string');
+                }
+                if (char !== '\\') {
+                    result += char;
+                    pos++;
+                    continue;
+                }
+
+                const next = source[pos + 1];
+                if (multiline && /\s/.test(next)) {
+                    // Line-ending backslash: skip to the next non-blank character
+                    pos++;
+                    while (/\s/.test(source[pos])) pos++;
+                } else if (next === 'u' || next === 'U') {
+                    const length = next === 'u' ? 4 : 8;
+                    const hex = source.slice(pos + 2, pos + 2 + length);
+                    if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) {
+                        fail('Invalid unicode escape');
+                    }
+                    result += String.fromCodePoint(parseInt(hex, 16));
+                    pos += 2 + length;
+                } else if (escapes[next] !== undefined) {
+                    result += escapes[next];
+                    pos += 2;
+                } else {
+                    fail(`Invalid escape "\\${next}"`);
+                }
+            }
+            pos += quote.length;
+            return result;
+        };
+        const literalString = multiline => {
+            const quote = multiline ? "'''" : "'";
+            expect(quote);
+            if (multiline && source[pos] === '\n') pos++;
+
+            const end = source.indexOf(quote, pos);
+            const value = end === -1 ? null : source.slice(pos, end);
+            if (value === null || (!multiline && value.includes('\n'))) {
+                fail('Unterminated string');
+            }
+            pos = end + quote.length;
+            return value;
+        };
+
+        // a.b."c d" -> ['a', 'b', 'c d']
+        const key = () => {
+            const parts = [];
+            for (;;) {
+                skipSpace();
+                if (source[pos] === '"') {
+                    parts.push(basicString(false));
+                } else if (source[pos] === "'") {
+                    parts.push(literalString(false));
+                } else {
+                    const bare = source.slice(pos).match(/^[A-Za-z0-9_-]+/);
+                    if (!bare) {
+                        fail('Expected a key');
+                    }
+                    parts.push(bare[0]);
+                    pos += bare[0].length;
+                }
+                skipSpace();
+                if (source[pos] !== '.') {
+                    return parts;
+                }
+                pos++;
+            }
+        };
+
+        // The table at parts under object, created on the way; arrays of
+        // tables resolve to their last element
+        const descend = (object, parts) => parts.reduce((current, part) => {
+            if (!(part in current)) {
+                current[part] = {};
+            }
+            const next = Array.isArray(current[part]) ? current[part][current[part].length - 1] : current[part];
+            if (next === null || typeof next !== 'object' || next instanceof Date) {
+                fail(`"${part}" is already a value, not a table`);
+            }
+            return next;
+        }, object);
+
+        const assign = (object, parts, value) => {
+            const target = descend(object, parts.slice(0, -1));
+            const name = parts[parts.length - 1];
+            if (name in target) {
+                fail(`Duplicate key "${parts.join('.')}"`);
+            }
+            target[name] = value;
+        };
+
+        const value = () => {
+            if (peek(3) === '"""') return basicString(true);
+            if (source[pos] === '"') return basicString(false);
+            if (peek(3) === "'''") return literalString(true);
+            if (source[pos] === "'") return literalString(false);
+
+            if (source[pos] === '[') {
+                pos++;
+                const items = [];
+                skipBlank();
+                while (source[pos] !== ']') {
+                    items.push(value());
+                    skipBlank();
+                    if (source[pos] === ',') {
+                        pos++;
+                        skipBlank();
+                    } else if (source[pos] !== ']') {
+                        fail('Expected "," or "]" in array');
+                    }
+                }
+                pos++;
+                return items;
+            }
+
+            if (source[pos] === '{') {
+                pos++;
+                const object = {};
+                skipSpace();
+                while (source[pos] !== '}') {
+                    const parts = key();
+                    expect('=');
+                    skipSpace();
+                    assign(object, parts, value());
+                    skipSpace();
+                    if (source[pos] === ',') {
+                        pos++;
+                        skipSpace();
+                    } else if (source[pos] !== '}') {
+                        fail('Expected "," or "}" in inline table');
+                    }
+                }
+                pos++;
+                return object;
+            }
+
+            const rest = source.slice(pos);
+            const literal = rest.match(/^(true|false)(?![\w-])/);
+            if (literal) {
+                pos += literal[0].length;
+                return literal[0] === 'true';
+            }
+
+            // Dates and date-times become Date objects, as in YAML frontmatter
+            const date = rest.match(/^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?)?/);
+            if (date) {
+                pos += date[0].length;
+                const iso = date[0].replace(' ', 'T');
+                return new Date(/[Tt]/.test(iso) && !/([Zz]|[+-]\d{2}:\d{2})$/.test(iso) ? `${iso}Z` : iso);
+            }
+
+            const time = rest.match(/^\d{2}:\d{2}:\d{2}(?:\.\d+)?/);
+            if (time) {
+                pos += time[0].length;
+                return time[0];
+            }
+
+            const number = rest.match(/^[+-]?(?:0x[\da-fA-F_]+|0o[0-7_]+|0b[01_]+|inf|nan|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d[\d_]*)?)(?![\w.])/);
+            if (number) {
+                pos += number[0].length;
+                const text = number[0].replace(/_/g, '');
+                if (/inf$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+                if (/nan$/.test(text)) return NaN;
+                if (/^[+-]?0[xob]/.test(text)) {
+                    const sign = text.startsWith('-') ? -1 : 1;
+                    return sign * Number(text.replace(/^[+-]/, ''));
+                }
+                return Number(text);
+            }
+
+            return fail('Invalid value');
+        };
+
+        while (pos < source.length) {
+            skipBlank();
+            if (pos >= source.length) {
+                break;
+            }
+
+            if (peek(2) === '[[') {
+                pos += 2;
+                const parts = key();
+                expect(']]');
+                const parent = descend(root, parts.slice(0, -1));
+                const name = parts[parts.length - 1];
+                if (!(name in parent)) {
+                    parent[name] = [];
+                }
+                if (!Array.isArray(parent[name])) {
+                    fail(`"${parts.join('.')}" is already defined as a table`);
+                }
+                table = {};
+                parent[name].push(table);
+            } else if (source[pos] === '[') {
+                pos++;
+                const parts = key();
+                expect(']');
+                table = descend(root, parts);
+            } else {
+                const parts = key();
+                expect('=');
+                skipSpace();
+                assign(table, parts, value());
+            }
+            endOfLine();
+        }
+
+        return root;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Frontmatter;
+}
@@ -0,0 +1,509 @@
+// Internationalization
+// UI string dictionaries, locale detection and the language switcher.
+// Russian copy of static markup stays in the HTML; elements marked with
+// data-i18n, data-i18n-html or data-i18n-attr are swapped for the active
+// locale's translation when it has one.
+
+const I18n = {
+    defaultLocale: 'ru',
+
+    // tag is used for number and date formatting
+    locales: {
+        ru: { name: 'Русский', label: 'RU', tag: 'ru-RU' },
+        en: { name: 'English', label: 'EN', tag: 'en-US' }
+    },
+
+    storageKey: 'asb-locale',
+    locale: 'ru',
+    dictionaries: {},
+
+    isSupported(locale) {
+        return Object.prototype.hasOwnProperty.call(I18n.locales, locale);
+    },
+
+    // Pre-rendered pages are built per locale and say so in <html lang>,
+    // clean URLs in their path; elsewhere ?lang= wins, then the visitor's last choice
+    detect() {
+        const root = document.documentElement;
+        if (root.hasAttribute('data-prerendered')) {
+            const lang = root.getAttribute('lang');
+            return I18n.setLocale(I18n.isSupported(lang) ? lang : I18n.defaultLocale);
+        }
+
+        const fromPath = I18n.pathLocale(window.location.pathname);
+        if (fromPath) {
+            return I18n.setLocale(fromPath);
+        }
+
+        const requested = new URLSearchParams(window.location.search).get('lang');
+        if (I18n.isSupported(requested)) {
+            I18n.remember(requested);
+            return I18n.setLocale(requested);
+        }
+
+        return I18n.setLocale(I18n.stored() || I18n.defaultLocale);
+    },
+
+    setLocale(locale) {
+        I18n.locale = I18n.isSupported(locale) ? locale : I18n.defaultLocale;
+        return I18n.locale;
+    },
+
+    stored() {
+        try {
+            const locale = localStorage.getItem(I18n.storageKey);
+            return I18n.isSupported(locale) ? locale : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    remember(locale) {
+        try {
+            localStorage.setItem(I18n.storageKey, locale);
+        } catch (error) {
+            // Private mode: the choice lasts for this page only
+        }
+    },
+
+    // Translation in the given locale only; undefined when it has none
+    lookup(key, locale = I18n.locale) {
+        const dictionary = I18n.dictionaries[locale] || {};
+        return dictionary[key];
+    },
+
+    // t('common.sqm', { value: 120 }) -> '120 м²'. Falls back to the default
+    // locale, then to the key itself so missing strings are easy to spot.
+    t(key, params = {}, locale = I18n.locale) {
+        const text = I18n.lookup(key, locale) ?? I18n.lookup(key, I18n.defaultLocale) ?? key;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    tag(locale = I18n.locale) {
+        return (I18n.locales[locale] || I18n.locales[I18n.defaultLocale]).tag;
+    },
+
+    formatNumber(value, locale = I18n.locale) {
+        return Number(value).toLocaleString(I18n.tag(locale));
+    },
+
+    formatDate(value, locale = I18n.locale) {
+        return value.toLocaleDateString(I18n.tag(locale), { year: 'numeric', month: 'long', day: 'numeric' });
+    },
+
+    // Locale of a clean URL: its /<locale>/ prefix or the default. null for
+    // / and the .html pages, which go by ?lang=
+    pathLocale(pathname) {
+        const prefix = pathname.match(/^\/([^/]+)(?=\/|$)/);
+        if (prefix && I18n.isSupported(prefix[1])) {
+            return prefix[1];
+        }
+        return pathname === '/' || pathname.endsWith('.html') ? null : I18n.defaultLocale;
+    },
+
+    // Clean URLs put non-default locales under /<locale>/; the ?slug= pages use ?lang=
+    localizePath(pathname, locale) {
+        const bare = pathname.replace(new RegExp(`^/(${Object.keys(I18n.locales).join('|')})(?=/|$)`), '') || '/';
+        return locale === I18n.defaultLocale ? bare : `/${locale}${bare}`;
+    },
+
+    urlFor(locale, location = window.location) {
+        if (document.documentElement.hasAttribute('data-prerendered') || I18n.pathLocale(location.pathname)) {
+            return I18n.localizePath(location.pathname, locale) + location.search + location.hash;
+        }
+
+        const search = new URLSearchParams(location.search);
+        if (locale === I18n.defaultLocale) {
+            search.delete('lang');
+        } else {
+            search.set('lang', locale);
+        }
+        const query = search.toString();
+        return `${location.pathname}${query ? `?${query}` : ''}${location.hash}`;
+    },
+
+    // Translate marked elements, set <html lang>, hreflang links and switchers
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            const text = I18n.lookup(el.getAttribute('data-i18n'));
+            if (text !== undefined) {
+                el.textContent = text;
+            }
+        });
+
+        // Our own dictionary strings with inline markup such as <br>
+        root.querySelectorAll('[data-i18n-html]').forEach(el => {
+            const html = I18n.lookup(el.getAttribute('data-i18n-html'));
+            if (html !== undefined) {
+                el.innerHTML = html;
+            }
+        });
+
+        // data-i18n-attr="placeholder:form.name, aria-label:nav.menu"
+        root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+            el.getAttribute('data-i18n-attr').split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                const text = I18n.lookup(key);
+                if (attribute && text !== undefined) {
+                    el.setAttribute(attribute, text);
+                }
+            });
+        });
+
+        document.documentElement.setAttribute('lang', I18n.locale);
+        I18n.updateAlternateLinks();
+        document.querySelectorAll('[data-locale-switcher]').forEach(container => I18n.renderSwitcher(container));
+    },
+
+    // <link rel="alternate" hreflang> for every locale plus x-default
+    updateAlternateLinks() {
+        const head = document.head;
+        if (head.querySelector('link[rel="alternate"][hreflang][data-static]')) {
+            return; // written by the static build
+        }
+
+        head.querySelectorAll('link[rel="alternate"][hreflang]').forEach(link => link.remove());
+
+        const alternates = Object.keys(I18n.locales).map(locale => [locale, I18n.urlFor(locale)]);
+        alternates.push(['x-default', I18n.urlFor(I18n.defaultLocale)]);
+
+        alternates.forEach(([hreflang, url]) => {
+            const link = document.createElement('link');
+            link.rel = 'alternate';
+            link.hreflang = hreflang;
+            link.href = new URL(url, window.location.origin).href;
+            head.appendChild(link);
+        });
+    },
+
+    renderSwitcher(container) {
+        const { html } = Template;
+        container.innerHTML = Object.entries(I18n.locales).map(([locale, info]) => html`
+            <a href="${I18n.urlFor(locale)}"
+               class="lang-link${locale === I18n.locale ? ' active' : ''}"
+               hreflang="${locale}" lang="${locale}" title="${info.name}"
+               ${locale === I18n.locale ? html`aria-current="true"` : ''}
+               data-locale="${locale}">${info.label}</a>
+        `).join('');
+
+        if (!container.dataset.bound) {
+            container.dataset.bound = 'true';
+            container.setAttribute('aria-label', I18n.t('common.language'));
+            // Remember the choice so links without ?lang= keep the language
+            container.addEventListener('click', e => {
+                const link = e.target.closest('[data-locale]');
+                if (link) {
+                    I18n.remember(link.dataset.locale);
+                }
+            });
+        }
+    }
+};
+
+// Strings used by scripts. Static markup only needs entries in non-default locales.
+I18n.dictionaries.ru = {
+    'common.language': 'Язык',
+    'common.sqm': '{value} м²',
+    'common.home': 'На главную',
+    'common.backHome': 'Вернуться на главную',
+    'common.rights': '© {year} {site}. Все права защищены.',
+
+    'meta.title': 'АСБ РУМ ПРО | Архитектура, строительство, дизайн',
+    'meta.description': 'Строительная компания полного цикла. Проектирование, строительство, дизайн интерьера. Уфа, Москва, Казань.',
+    'breadcrumb.home': 'Главная',
+    'breadcrumb.services': 'Услуги',
+    'breadcrumb.portfolio': 'Портфолио',
+
+    'service.more': 'Подробнее →',
+
+    'search.group.services': 'Услуги',
+    'search.group.portfolio': 'Проекты',
+    'search.group.pages': 'Страницы',
+    'search.empty': 'По запросу «{query}» ничего не найдено',
+
+    'portfolio.all': 'Все',
+    'portfolio.filter.type': 'Тип объекта',
+    'portfolio.filter.year': 'Год',
+    'portfolio.filter.area': 'Площадь',
+    'portfolio.areaUpTo': 'до {max} м²',
+    'portfolio.areaFrom': 'от {min} м²',
+    'portfolio.areaBetween': '{min}–{max} м²',
+    'portfolio.found': 'Показано проектов: {count} из {total}',
+    'portfolio.empty': 'Нет проектов с такими параметрами.',
+    'portfolio.reset': 'Сбросить фильтры',
+    'service.pricing': 'Стоимость работ',
+    'service.gallery': 'Примеры работ',
+    'service.features': 'Преимущества',
+    'service.faq': 'Вопросы и ответы',
+    'service.projects': 'Наши работы',
+    'service.order': 'Заказать услугу',
+    'service.notFound': 'Услуга не найдена',
+    'service.notFoundText': 'Запрашиваемая вами услуга не существует или была удалена.',
+
+    'project.beforeAfter': 'До и после',
+    'project.before': 'До',
+    'project.after': 'После',
+    'project.compare': 'Сравнить фото до и после',
+    'project.gallery': 'Галерея',
+    'project.testimonial': 'Отзыв заказчика',
+    'project.services': 'Выполненные услуги',
+    'project.back': 'Вернуться к портфолио',
+    'project.discuss': 'Обсудить проект',
+    'project.notFound': 'Проект не найден',
+    'project.notFoundText': 'Запрашиваемый вами проект не существует или был удален.',
+
+    'page.notFound': 'Страница не найдена',
+    'page.notFoundText': 'Запрашиваемая вами страница не существует или была удалена.',
+
+    'calc.yourEstimate': 'Ваш расчёт: {summary}',
+
+    'pricing.base': '{type}: {area} м² × {rate}',
+    'pricing.finish': 'Отделка «{finish}» (×{multiplier})',
+    'pricing.addon': '{addon}: {area} м² × {rate}',
+    'pricing.summaryFinish': 'отделка «{finish}»',
+
+    'estimate.type': 'Тип объекта',
+    'estimate.area': 'Площадь',
+    'estimate.finish': 'Отделка',
+    'estimate.addons': 'Дополнительно',
+    'estimate.perSqm': 'За м²',
+
+    'consent.label': 'Согласие на обработку данных',
+    'consent.text': 'Мы используем файлы cookie и сервисы веб-аналитики, чтобы понимать, как посетители пользуются сайтом. Нажимая «Принять», вы соглашаетесь на обработку данных о посещениях в соответствии с {policy}.',
+    'consent.policy': 'Политикой обработки персональных данных',
+    'consent.accept': 'Принять',
+    'consent.decline': 'Отказаться',
+
+    'form.sending': 'Отправка...',
+    'form.required': 'Заполните это поле',
+    'form.phoneInvalid': 'Введите российский номер, например +7 (967) 739-71-17',
+    'form.offline': 'Нет соединения с интернетом. Заявка сохранена и будет отправлена автоматически.',
+    'form.success': 'Спасибо! Заявка отправлена, мы свяжемся с вами в ближайшее время.',
+    'form.error': 'Не удалось отправить заявку. Попробуйте ещё раз или позвоните нам.',
+
+    'carousel.slide': '{index} из {total}',
+    'carousel.goTo': 'Показать слайд {index}',
+    'carousel.prev': 'Предыдущий слайд',
+    'carousel.next': 'Следующий слайд',
+    'carousel.pause': 'Остановить автопрокрутку',
+    'carousel.play': 'Включить автопрокрутку',
+
+    'lightbox.label': 'Просмотр фото',
+    'lightbox.close': 'Закрыть',
+    'lightbox.prev': 'Предыдущее фото',
+    'lightbox.next': 'Следующее фото',
+    'lightbox.counter': '{index} / {total}'
+};
+
+I18n.dictionaries.en = {
+    'common.language': 'Language',
+    'common.sqm': '{value} m²',
+    'common.home': 'Home',
+    'common.backHome': 'Back to home',
+    'common.rights': '© {year} {site}. All rights reserved.',
+
+    'meta.title': 'ASB ROOM PRO | Architecture, construction, interior design',
+    'meta.description': 'Full-cycle construction company. Design, construction and interior design in Ufa, Moscow and Kazan.',
+    'breadcrumb.home': 'Home',
+    'breadcrumb.services': 'Services',
+    'breadcrumb.portfolio': 'Portfolio',
+
+    'nav.services': 'Services',
+    'nav.portfolio': 'Portfolio',
+    'nav.process': 'Process',
+    'nav.about': 'About',
+    'nav.contact': 'Contact',
+
+    'search.placeholder': 'Search',
+    'search.label': 'Search the site',
+    'search.group.services': 'Services',
+    'search.group.portfolio': 'Projects',
+    'search.group.pages': 'Pages',
+    'search.empty': 'Nothing found for “{query}”',
+
+    'hero.subtitle': 'Architecture • Construction • Design',
+    'hero.title': 'We create spaces<br>you want to live in',
+    'hero.description': 'From the first sketch to turnkey handover. Custom design, country houses, apartment renovation and commercial property in Ufa, Moscow and Kazan.',
+    'hero.discuss': 'Discuss a project',
+    'hero.portfolio': 'See our work',
+
+    'stats.projects': 'Completed projects',
+    'stats.years': 'Years of experience',
+    'stats.builtSuffix': ' 000 m²',
+    'stats.built': 'Built',
+    'stats.clients': 'Satisfied clients',
+
+    'services.subtitle': 'Services',
+    'services.title': 'Everything under one roof',
+
+    'process.subtitle': 'Process',
+    'process.title': 'How we work',
+    'process.step1.title': 'Consultation',
+    'process.step1.text': 'We meet to discuss your goals, budget and timeline. Site visits are free.',
+    'process.step2.title': 'Design',
+    'process.step2.text': 'Concept development, 3D visualization and working drawings.',
+    'process.step3.title': 'Estimate and contract',
+    'process.step3.text': 'A detailed fixed-price estimate. Clear terms in the contract.',
+    'process.step4.title': 'Construction',
+    'process.step4.text': 'Photo reports at every stage and continuous quality control.',
+    'process.step5.title': 'Handover',
+    'process.step5.text': 'Final inspection, fixing any remarks and warranty service.',
+
+    'calc.subtitle': 'Calculator',
+    'calc.title': 'Get a price in one minute',
+    'calc.step1': '1. Choose the property type',
+    'calc.step2': '2. Set the area',
+    'calc.step3': '3. Choose the finish level',
+    'calc.step4': '4. Additional work',
+    'calc.resultLabel': 'Estimated cost',
+    'calc.note': 'The exact price is set after a site survey and a detailed estimate',
+    'calc.send': 'Send this estimate',
+    'calc.print': 'Printable estimate',
+    'calc.yourEstimate': 'Your estimate: {summary}',
+
+    'portfolio.subtitle': 'Portfolio',
+    'portfolio.title': 'Completed projects',
+    'portfolio.all': 'All',
+    'portfolio.filter.type': 'Property type',
+    'portfolio.filter.year': 'Year',
+    'portfolio.filter.area': 'Area',
+    'portfolio.areaUpTo': 'up to {max} m²',
+    'portfolio.areaFrom': 'from {min} m²',
+    'portfolio.areaBetween': '{min}–{max} m²',
+    'portfolio.found': 'Showing {count} of {total} projects',
+    'portfolio.empty': 'No projects match these filters.',
+    'portfolio.reset': 'Reset filters',
+
+    'about.imageConstruction': 'Construction',
+    'about.imageProcess': 'Construction in progress',
+    'about.subtitle': 'About us',
+    'about.text1': 'A full-cycle architecture and construction company. Architectural design, construction and interior design are handled by one team under one management.',
+    'about.text2': 'Our founder is an architect who has been practicing since 2007, with projects ranging from small bathhouses to multi-storey residential complexes. We work with private clients and developers and take part in municipal tenders.',
+    'about.crew': 'Our own crew',
+    'about.crewText': 'Trusted specialists, no middlemen',
+    'about.warranty': '5-year warranty',
+    'about.warrantyText': 'On all construction work',
+    'about.fixedPrice': 'Fixed price',
+    'about.fixedPriceText': 'No hidden fees or surprise extras',
+    'about.regions': 'We work across Russia',
+    'about.regionsText': 'Ufa, Moscow, Kazan and other regions',
+
+    'reviews.subtitle': 'Reviews',
+    'reviews.title': 'What our clients say',
+    'reviews.label': 'Client reviews',
+
+    'team.subtitle': 'Team',
+    'team.title': 'Our specialists',
+
+    'contact.title': 'Get in touch',
+    'contact.phone': 'Phone',
+    'contact.whatsapp': 'Message us on WhatsApp',
+    'contact.offices': 'Offices',
+    'contact.officesText': 'Ufa, Moscow, Kazan',
+
+    'form.honeypot': 'Leave this field empty',
+    'form.name': 'Your name',
+    'form.phone': 'Phone',
+    'form.projectType': 'Project type',
+    'form.type.house': 'House construction',
+    'form.type.apartment': 'Apartment renovation',
+    'form.type.interior': 'Interior design',
+    'form.type.commercial': 'Commercial property',
+    'form.message': 'Tell us about your project',
+    'form.submit': 'Send request',
+    'consent.label': 'Consent to data processing',
+    'consent.text': 'We use cookies and web analytics to understand how visitors use the site. By clicking “Accept” you agree to the processing of visit data under our {policy}.',
+    'consent.policy': 'Personal Data Policy',
+    'consent.accept': 'Accept',
+    'consent.decline': 'Decline',
+    'consent.settings': 'Cookie settings',
+
+    'form.sending': 'Sending...',
+    'form.required': 'Please fill in this field',
+    'form.phoneInvalid': 'Enter a Russian phone number, e.g. +7 (967) 739-71-17',
+    'form.offline': 'You are offline. Your request is saved and will be sent automatically.',
+    'form.success': 'Thank you! Your request has been sent, we will contact you shortly.',
+    'form.error': 'We could not send your request. Please try again or give us a call.',
+
+    'carousel.slide': '{index} of {total}',
+    'carousel.goTo': 'Show slide {index}',
+    'carousel.prev': 'Previous slide',
+    'carousel.next': 'Next slide',
+    'carousel.pause': 'Stop automatic rotation',
+    'carousel.play': 'Start automatic rotation',
+
+    'lightbox.label': 'Photo viewer',
+    'lightbox.close': 'Close',
+    'lightbox.prev': 'Previous photo',
+    'lightbox.next': 'Next photo',
+    'lightbox.counter': '{index} of {total}',
+
+    'footer.navigation': 'Navigation',
+    'footer.services': 'Services',
+    'footer.design': 'Design',
+    'footer.construction': 'Construction',
+    'footer.renovation': 'Renovation',
+    'footer.interior': 'Interiors',
+
+    'service.more': 'Learn more →',
+    'service.pricing': 'Pricing',
+    'service.gallery': 'Examples of our work',
+    'service.features': 'Why choose us',
+    'service.faq': 'Questions and answers',
+    'service.projects': 'Our work',
+    'service.order': 'Order this service',
+    'service.notFound': 'Service not found',
+    'service.notFoundText': 'The service you are looking for does not exist or has been removed.',
+
+    'project.beforeAfter': 'Before and after',
+    'project.before': 'Before',
+    'project.after': 'After',
+    'project.compare': 'Compare before and after photos',
+    'project.gallery': 'Gallery',
+    'project.testimonial': 'Client review',
+    'project.services': 'Services provided',
+    'project.back': 'Back to portfolio',
+    'project.discuss': 'Discuss a project',
+    'project.notFound': 'Project not found',
+    'project.notFoundText': 'The project you are looking for does not exist or has been removed.',
+
+    'page.notFound': 'Page not found',
+    'page.notFoundText': 'The page you are looking for does not exist or has been removed.',
+
+    'pricing.base': '{type}: {area} m² × {rate}',
+    'pricing.finish': '“{finish}” finish (×{multiplier})',
+    'pricing.addon': '{addon}: {area} m² × {rate}',
+    'pricing.summaryFinish': '“{finish}” finish',
+
+    'estimate.docTitle': 'Preliminary estimate | ASB ROOM PRO',
+    'estimate.title': 'Preliminary estimate',
+    'estimate.type': 'Property type',
+    'estimate.area': 'Area',
+    'estimate.finish': 'Finish',
+    'estimate.addons': 'Additional work',
+    'estimate.perSqm': 'Per m²',
+    'estimate.item': 'Item',
+    'estimate.cost': 'Cost',
+    'estimate.total': 'Total',
+    'estimate.note': 'This is a preliminary estimate. The exact price is set after a site survey and a detailed estimate.',
+    'estimate.print': 'Print / Save as PDF',
+    'estimate.back': 'Back to the calculator',
+
+    'thanks.docTitle': 'Thank you | ASB ROOM PRO',
+    'thanks.title': 'Thank you!',
+    'thanks.text': 'We have received your message and will get back to you within 30 minutes. If it is urgent, please call us directly.',
+    'thanks.home': 'Back to home',
+    'thanks.timerBefore': 'Redirecting in',
+    'thanks.timerAfter': 'seconds'
+};
+
+if (typeof document !== 'undefined') {
+    // Before other scripts run, so CMSLoader picks up the locale
+    I18n.detect();
+    document.addEventListener('DOMContentLoaded', () => I18n.apply());
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
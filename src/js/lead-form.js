@@ -0,0 +1,384 @@
+// Lead Form
+// Validates and sends contact form submissions through the provider set in
+// content/settings/forms.yml (Formspree, Netlify Forms, a JSON webhook or a
+// Telegram bot endpoint). Submissions made offline wait in localStorage and
+// are retried when the connection comes back.
+//
+// Every accepted lead, sent or queued, fires a 'lead:sent' event on the form
+// with { lead, queued } in detail.
+
+class LeadForm {
+    constructor(form, settings = {}) {
+        this.form = form;
+        this.queueKey = 'asb-leads:queue';
+        this.honeypotField = 'website';
+        this.startedAt = Date.now();
+        this.submitButton = form.querySelector('button[type="submit"]');
+        this.status = form.querySelector('.form-status');
+        this.configure(settings);
+
+        form.setAttribute('novalidate', '');
+        form.addEventListener('submit', e => this.handleSubmit(e));
+        form.addEventListener('input', e => this.clearError(e.target));
+
+        const phone = form.elements.phone;
+        if (phone) {
+            phone.addEventListener('blur', () => {
+                const normalized = LeadForm.normalizePhone(phone.value);
+                if (normalized) {
+                    phone.value = LeadForm.formatPhone(normalized);
+                }
+            });
+        }
+
+        window.addEventListener('online', () => this.flushQueue());
+    }
+
+    configure(settings) {
+        this.settings = { ...LeadForm.defaults, ...settings };
+    }
+
+    // '8 (967) 739-71-17', '+7 967 7397117', '9677397117' -> '+79677397117'.
+    // Returns null for anything that isn't a Russian number.
+    static normalizePhone(value) {
+        let digits = String(value ?? '').replace(/\D/g, '');
+
+        if (digits.length === 11 && (digits[0] === '7' || digits[0] === '8')) {
+            digits = digits.slice(1);
+        }
+
+        if (digits.length !== 10 || !'3489'.includes(digits[0])) {
+            return null;
+        }
+        return `+7${digits}`;
+    }
+
+    // fetch() for the adapters. Its rejections (no connection, DNS, CORS) are
+    // marked offline, so a TypeError from a broken adapter or config isn't
+    // taken for one and queued forever
+    static request(url, options) {
+        return fetch(url, options).catch(error => {
+            error.offline = true;
+            throw error;
+        });
+    }
+
+    static formatPhone(normalized) {
+        const digits = normalized.slice(2);
+        return `+7 (${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6, 8)}-${digits.slice(8)}`;
+    }
+
+    // Form fields as a plain object, without the honeypot, Formspree's _next
+    // and hidden fields nothing has filled in (the estimate without a calculation)
+    collectFields() {
+        const fields = {};
+        new FormData(this.form).forEach((value, name) => {
+            if (name === this.honeypotField || name.startsWith('_')) return;
+            if (value === '' && this.form.elements[name] && this.form.elements[name].type === 'hidden') return;
+            fields[name] = typeof value === 'string' ? value.trim() : value;
+        });
+        return fields;
+    }
+
+    // Returns { field: message } for everything that needs fixing
+    validate(fields) {
+        const errors = {};
+
+        Array.from(this.form.elements).forEach(element => {
+            if (element.required && !fields[element.name]) {
+                errors[element.name] = I18n.t('form.required');
+            }
+        });
+
+        if (fields.phone && !LeadForm.normalizePhone(fields.phone)) {
+            errors.phone = I18n.t('form.phoneInvalid');
+        }
+
+        return errors;
+    }
+
+    // Bots fill every input and submit instantly; people do neither
+    isSpam() {
+        const honeypot = this.form.elements[this.honeypotField];
+        if (honeypot && honeypot.value) {
+            return 'honeypot';
+        }
+
+        if (Date.now() - this.startedAt < this.settings.min_fill_time * 1000) {
+            return 'too fast';
+        }
+        return null;
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+        this.clearErrors();
+
+        const fields = this.collectFields();
+        const errors = this.validate(fields);
+
+        if (Object.keys(errors).length) {
+            this.showErrors(errors);
+            return;
+        }
+
+        fields.phone = LeadForm.normalizePhone(fields.phone);
+
+        // Pretend it worked so bots don't learn what gave them away
+        const spam = this.isSpam();
+        if (spam) {
+            console.warn('Lead form submission dropped as spam:', spam);
+            this.succeed();
+            return;
+        }
+
+        const lead = {
+            ...fields,
+            page: window.location.href,
+            submitted_at: new Date().toISOString()
+        };
+
+        this.setBusy(true);
+
+        try {
+            await this.send(lead);
+            this.notify(lead, false);
+            this.succeed();
+        } catch (error) {
+            if (error.offline) {
+                // Network failure: keep the lead and retry when back online
+                this.enqueue(lead);
+                this.notify(lead, true);
+                this.showStatus(I18n.t('form.offline'), 'pending');
+                this.form.reset();
+            } else {
+                console.error('Lead form submission failed:', error);
+                this.showStatus(this.settings.error_message || I18n.t('form.error'), 'error');
+            }
+        }
+
+        this.setBusy(false);
+    }
+
+    async send(lead) {
+        const adapter = LeadForm.adapters[this.settings.provider];
+        if (!adapter) {
+            throw new Error(`Unknown form provider: ${this.settings.provider}`);
+        }
+        // Netlify posts to the page itself; the others have nowhere to send to
+        if (!this.settings.endpoint && this.settings.provider !== 'netlify') {
+            throw new Error(`The ${this.settings.provider} form provider needs an endpoint in content/settings/forms.yml`);
+        }
+
+        const response = await adapter(lead, this.settings, this.form);
+        if (!response.ok) {
+            throw new Error(`Form provider responded with ${response.status}`);
+        }
+        return response;
+    }
+
+    notify(lead, queued) {
+        this.form.dispatchEvent(new CustomEvent('lead:sent', { detail: { lead, queued } }));
+    }
+
+    succeed() {
+        this.showStatus(this.settings.success_message || I18n.t('form.success'), 'success');
+        this.form.reset();
+        this.startedAt = Date.now();
+
+        if (this.settings.redirect) {
+            setTimeout(() => {
+                window.location.href = this.settings.redirect;
+            }, 1500);
+        }
+    }
+
+    // Offline queue
+
+    readQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(this.queueKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    writeQueue(queue) {
+        try {
+            if (queue.length) {
+                localStorage.setItem(this.queueKey, JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(this.queueKey);
+            }
+        } catch (error) {
+            console.warn('Could not save queued leads:', error);
+        }
+    }
+
+    enqueue(lead) {
+        this.writeQueue([...this.readQueue(), lead]);
+    }
+
+    async flushQueue() {
+        const queue = this.readQueue();
+        if (!queue.length || !navigator.onLine) {
+            return;
+        }
+
+        const remaining = [];
+        for (const lead of queue) {
+            try {
+                await this.send(lead);
+            } catch (error) {
+                // Provider rejections and config errors won't get better on retry;
+                // only keep network failures
+                if (error.offline) {
+                    remaining.push(lead);
+                } else {
+                    console.error('Dropping queued lead:', error);
+                }
+            }
+        }
+
+        this.writeQueue(remaining);
+    }
+
+    // Inline states
+
+    setBusy(busy) {
+        if (!this.submitButton) return;
+
+        if (busy) {
+            this.submitButton.dataset.label = this.submitButton.textContent;
+            this.submitButton.textContent = I18n.t('form.sending');
+        } else if (this.submitButton.dataset.label) {
+            this.submitButton.textContent = this.submitButton.dataset.label;
+        }
+        this.submitButton.disabled = busy;
+    }
+
+    showStatus(message, state) {
+        if (!this.status) return;
+
+        this.status.textContent = message;
+        this.status.className = `form-status is-${state}`;
+        this.status.hidden = false;
+    }
+
+    showErrors(errors) {
+        Object.entries(errors).forEach(([name, message]) => {
+            const field = this.form.elements[name];
+            if (!field) return;
+
+            const error = document.createElement('span');
+            error.className = 'form-error';
+            error.id = `${name}-error`;
+            error.textContent = message;
+
+            field.setAttribute('aria-invalid', 'true');
+            field.setAttribute('aria-describedby', error.id);
+            field.insertAdjacentElement('afterend', error);
+        });
+
+        const first = this.form.querySelector('[aria-invalid="true"]');
+        if (first) {
+            first.focus();
+        }
+    }
+
+    clearError(field) {
+        if (!field || field.getAttribute('aria-invalid') !== 'true') return;
+
+        // Fields can share a parent, so find this field's own message
+        const id = field.getAttribute('aria-describedby');
+        field.removeAttribute('aria-invalid');
+        field.removeAttribute('aria-describedby');
+        const error = id && this.form.querySelector(`#${id}`);
+        if (error) {
+            error.remove();
+        }
+    }
+
+    clearErrors() {
+        this.form.querySelectorAll('[aria-invalid="true"]').forEach(field => this.clearError(field));
+        if (this.status) {
+            this.status.hidden = true;
+        }
+    }
+}
+
+// Each adapter posts a lead and resolves with the fetch Response
+LeadForm.adapters = {
+    formspree(lead, settings) {
+        const endpoint = settings.endpoint.startsWith('http')
+            ? settings.endpoint
+            : `https://formspree.io/f/${settings.endpoint}`;
+
+        return LeadForm.request(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify(lead)
+        });
+    },
+
+    // Netlify picks up the form by name from the deployed HTML
+    netlify(lead, settings, form) {
+        const body = new URLSearchParams({
+            'form-name': settings.form_name || (form && form.getAttribute('name')) || 'contact',
+            ...lead
+        });
+
+        return LeadForm.request(settings.endpoint || '/', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: body.toString()
+        });
+    },
+
+    webhook(lead, settings) {
+        return LeadForm.request(settings.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(lead)
+        });
+    },
+
+    // Expects a relay that forwards { chat_id, text } to the Bot API's sendMessage.
+    // The message is for the office, so it stays in Russian whatever the page locale.
+    telegram(lead, settings) {
+        const lines = [
+            'Новая заявка с сайта',
+            `Имя: ${lead.name || '—'}`,
+            `Телефон: ${lead.phone}`,
+            lead.project_type && `Тип проекта: ${lead.project_type}`,
+            lead.message && `Сообщение: ${lead.message}`,
+            lead.estimate_summary && `Расчёт: ${lead.estimate_summary}`,
+            lead.estimate_link && `Ссылка на расчёт: ${lead.estimate_link}`,
+            `Страница: ${lead.page}`
+        ];
+
+        return LeadForm.request(settings.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ chat_id: settings.telegram_chat_id, text: lines.filter(Boolean).join('\n') })
+        });
+    }
+};
+
+// Mirrors content/settings/forms.yml for when it can't be loaded
+LeadForm.defaults = {
+    provider: 'formspree',
+    endpoint: 'mlgwvgkv',
+    form_name: 'contact',
+    telegram_chat_id: '',
+    redirect: '/thanks.html',
+    min_fill_time: 3,
+    // Empty: the active locale's form.success / form.error strings are used
+    success_message: '',
+    error_message: ''
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeadForm;
+}
@@ -0,0 +1,332 @@
+// Lightbox
+// Full-screen viewer for [data-lightbox] gallery links on service and
+// project pages. Arrow keys, swipe, pinch and double-tap zoom; neighbouring
+// photos are preloaded. The open photo is kept in the URL as #photo-N
+// (1-based, in page order) so a link can point straight at it.
+
+class Lightbox {
+    constructor(selector = '[data-lightbox]') {
+        this.selector = selector;
+        this.items = [];
+        this.index = -1;
+        this.overlay = null;
+        this.opener = null;
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.pointers = new Map();
+
+        document.addEventListener('click', e => {
+            const link = e.target.closest(this.selector);
+            if (!link || e.ctrlKey || e.metaKey || e.shiftKey) return;
+
+            e.preventDefault();
+            if (!this.items.includes(link)) {
+                this.refresh();
+            }
+            this.opener = link;
+            this.open(this.items.indexOf(link));
+        });
+
+        window.addEventListener('hashchange', () => this.openFromHash());
+
+        this.refresh();
+        this.openFromHash();
+    }
+
+    // Re-read the gallery after content is rendered
+    refresh() {
+        this.items = Array.from(document.querySelectorAll(this.selector));
+    }
+
+    static hashFor(index) {
+        return `#photo-${index + 1}`;
+    }
+
+    openFromHash() {
+        const match = window.location.hash.match(/^#photo-(\d+)$/);
+        if (!match) {
+            if (this.isOpen) this.close();
+            return;
+        }
+
+        const index = Number(match[1]) - 1;
+        if (this.items[index] && index !== this.index) {
+            this.open(index);
+        }
+    }
+
+    get isOpen() {
+        return Boolean(this.overlay && !this.overlay.hidden);
+    }
+
+    // Caption set in the CMS, else the image's alt text. data-srcset holds
+    // the resized variants (CMSLoader.getSrcset); the href is the original.
+    describe(index) {
+        const link = this.items[index];
+        const img = link.querySelector('img');
+        return {
+            src: link.getAttribute('href') || (img && img.src),
+            srcset: link.dataset.srcset || '',
+            caption: link.dataset.caption || (img && img.alt) || ''
+        };
+    }
+
+    // Built on first open and reused after that
+    build() {
+        const { html } = Template;
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = html`
+            <div class="lightbox" role="dialog" aria-modal="true" aria-label="${I18n.t('lightbox.label')}" hidden>
+                <button type="button" class="lightbox-close" aria-label="${I18n.t('lightbox.close')}">&times;</button>
+                <button type="button" class="lightbox-prev" aria-label="${I18n.t('lightbox.prev')}">&lsaquo;</button>
+                <figure class="lightbox-figure">
+                    <div class="lightbox-stage">
+                        <img class="lightbox-image" alt="" sizes="${Lightbox.sizes}" draggable="false">
+                    </div>
+                    <figcaption class="lightbox-info">
+                        <span class="lightbox-caption"></span>
+                        <span class="lightbox-counter" aria-live="polite"></span>
+                    </figcaption>
+                </figure>
+                <button type="button" class="lightbox-next" aria-label="${I18n.t('lightbox.next')}">&rsaquo;</button>
+            </div>
+        `;
+
+        this.overlay = wrapper.firstElementChild;
+        this.image = this.overlay.querySelector('.lightbox-image');
+        this.stage = this.overlay.querySelector('.lightbox-stage');
+        this.caption = this.overlay.querySelector('.lightbox-caption');
+        this.counter = this.overlay.querySelector('.lightbox-counter');
+        document.body.appendChild(this.overlay);
+
+        this.overlay.querySelector('.lightbox-close').addEventListener('click', () => this.close());
+        this.overlay.querySelector('.lightbox-prev').addEventListener('click', () => this.prev());
+        this.overlay.querySelector('.lightbox-next').addEventListener('click', () => this.next());
+
+        // A click on the backdrop closes, one on the photo or ending a drag doesn't
+        this.overlay.addEventListener('click', e => {
+            if (this.dragged) {
+                this.dragged = false;
+                return;
+            }
+            if (e.target === this.overlay || e.target === this.stage) {
+                this.close();
+            }
+        });
+
+        this.overlay.addEventListener('keydown', e => this.handleKey(e));
+        this.stage.addEventListener('dblclick', e => this.toggleZoom(e));
+        this.stage.addEventListener('pointerdown', e => this.pointerDown(e));
+        this.stage.addEventListener('pointermove', e => this.pointerMove(e));
+        this.stage.addEventListener('pointerup', e => this.pointerUp(e));
+        this.stage.addEventListener('pointercancel', e => this.pointerUp(e));
+    }
+
+    open(index) {
+        if (index < 0 || !this.items[index]) return;
+
+        if (!this.overlay) {
+            this.build();
+        }
+
+        if (!this.isOpen) {
+            this.opener = this.opener || this.items[index];
+            this.overlay.hidden = false;
+            document.body.classList.add('lightbox-open');
+            this.overlay.querySelector('.lightbox-close').focus();
+        }
+
+        this.show(index);
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.overlay.hidden = true;
+        this.index = -1;
+        document.body.classList.remove('lightbox-open');
+
+        if (window.location.hash.startsWith('#photo-')) {
+            history.replaceState(history.state, '', window.location.pathname + window.location.search);
+        }
+
+        if (this.opener) {
+            this.opener.focus();
+            this.opener = null;
+        }
+    }
+
+    show(index) {
+        const total = this.items.length;
+        this.index = (index + total) % total;
+
+        const { src, srcset, caption } = this.describe(this.index);
+        this.resetZoom();
+        // srcset first, so the browser doesn't start on the full-size src
+        this.image.srcset = srcset;
+        this.image.src = src;
+        this.image.alt = caption;
+        this.caption.textContent = caption;
+        this.counter.textContent = I18n.t('lightbox.counter', { index: this.index + 1, total });
+
+        const single = total < 2;
+        this.overlay.querySelector('.lightbox-prev').hidden = single;
+        this.overlay.querySelector('.lightbox-next').hidden = single;
+
+        const hash = Lightbox.hashFor(this.index);
+        if (window.location.hash !== hash) {
+            history.replaceState(history.state, '', hash);
+        }
+
+        this.preload(this.index + 1);
+        this.preload(this.index - 1);
+    }
+
+    preload(index) {
+        const total = this.items.length;
+        if (total < 2) return;
+
+        const { src, srcset } = this.describe((index + total) % total);
+        const image = new Image();
+        image.sizes = Lightbox.sizes;
+        image.srcset = srcset;
+        image.src = src;
+    }
+
+    next() {
+        this.show(this.index + 1);
+    }
+
+    prev() {
+        this.show(this.index - 1);
+    }
+
+    handleKey(e) {
+        const actions = {
+            Escape: () => this.close(),
+            ArrowLeft: () => this.prev(),
+            ArrowRight: () => this.next(),
+            Home: () => this.show(0),
+            End: () => this.show(this.items.length - 1)
+        };
+
+        if (actions[e.key]) {
+            e.preventDefault();
+            actions[e.key]();
+            return;
+        }
+
+        // Keep Tab inside the dialog
+        if (e.key === 'Tab') {
+            const focusable = Array.from(this.overlay.querySelectorAll('button')).filter(button => !button.hidden);
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    }
+
+    // Zoom and gestures
+
+    applyZoom() {
+        const { scale, x, y } = this.zoom;
+        this.image.style.transform = scale === 1 ? '' : `translate(${x}px, ${y}px) scale(${scale})`;
+        this.stage.classList.toggle('is-zoomed', scale > 1);
+    }
+
+    resetZoom() {
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.pointers.clear();
+        this.applyZoom();
+    }
+
+    toggleZoom() {
+        if (this.zoom.scale > 1) {
+            this.resetZoom();
+        } else {
+            this.zoom.scale = 2;
+            this.applyZoom();
+        }
+    }
+
+    distance() {
+        const [a, b] = Array.from(this.pointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    pointerDown(e) {
+        this.stage.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pointers.size === 1) {
+            this.dragged = false;
+            this.gesture = { startX: e.clientX, startY: e.clientY, x: this.zoom.x, y: this.zoom.y };
+        } else if (this.pointers.size === 2) {
+            this.gesture = { distance: this.distance(), scale: this.zoom.scale };
+        }
+    }
+
+    pointerMove(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pointers.size > 1 || Math.hypot(e.clientX - this.gesture.startX, e.clientY - this.gesture.startY) > 10) {
+            this.dragged = true;
+        }
+
+        if (this.pointers.size === 2 && this.gesture.distance) {
+            const scale = this.gesture.scale * (this.distance() / this.gesture.distance);
+            this.zoom.scale = Math.min(Math.max(scale, 1), Lightbox.maxZoom);
+            if (this.zoom.scale === 1) {
+                this.zoom.x = 0;
+                this.zoom.y = 0;
+            }
+            this.applyZoom();
+        } else if (this.pointers.size === 1 && this.zoom.scale > 1) {
+            this.zoom.x = this.gesture.x + e.clientX - this.gesture.startX;
+            this.zoom.y = this.gesture.y + e.clientY - this.gesture.startY;
+            this.applyZoom();
+        }
+    }
+
+    pointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+
+        // A horizontal swipe at normal size changes the photo
+        if (this.pointers.size === 0 && this.zoom.scale === 1 && this.gesture && this.gesture.startX !== undefined) {
+            const dx = e.clientX - this.gesture.startX;
+            const dy = e.clientY - this.gesture.startY;
+            if (Math.abs(dx) > Lightbox.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+                if (dx < 0) {
+                    this.next();
+                } else {
+                    this.prev();
+                }
+            }
+        }
+
+        // Lifting one finger of a pinch continues as a pan from here
+        if (this.pointers.size === 1) {
+            const [point] = this.pointers.values();
+            this.gesture = { startX: point.x, startY: point.y, x: this.zoom.x, y: this.zoom.y };
+        } else if (this.pointers.size === 0) {
+            this.gesture = null;
+        }
+    }
+}
+
+Lightbox.maxZoom = 4;
+Lightbox.swipeThreshold = 50;
+// The photo fills the viewport, so it picks from the srcset by screen width
+Lightbox.sizes = '100vw';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Lightbox;
+}
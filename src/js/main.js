@@ -18,7 +18,38 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     // ========================================
-    // 2. NAVIGATION
+    // 2. ANALYTICS
+    // ========================================
+    // Sinks and the privacy page come from content/settings/analytics.yml;
+    // nothing is sent before the visitor accepts the consent banner
+    const analytics = typeof Analytics !== 'undefined'
+        ? new Analytics({ debug: Boolean(window.cmsLoader && window.cmsLoader.devMode) })
+        : null;
+    const track = (name, params) => analytics && analytics.track(name, params);
+
+    if (analytics) {
+        window.analytics = analytics;
+        analytics.trackClicks(document);
+
+        const settings = window.cmsLoader
+            ? window.cmsLoader.ready.then(() => window.cmsLoader.loadSettings('analytics'))
+            : Promise.resolve(null);
+
+        settings
+            .catch(error => console.warn('Using default analytics settings:', error))
+            .then(config => {
+                analytics.configure({ ...(config || {}), debug: analytics.settings.debug });
+                const privacyUrl = window.cmsLoader && analytics.settings.privacy_page
+                    ? window.cmsLoader.getItemUrl('pages', analytics.settings.privacy_page)
+                    : null;
+                new ConsentBanner(analytics, { privacyUrl });
+                analytics.start();
+            })
+            .catch(error => console.error('Analytics failed to start:', error));
+    }
+
+    // ========================================
+    // 3. NAVIGATION
     // ========================================
     const nav = document.querySelector('.nav');
     const mobileBtn = document.querySelector('.mobile-menu-btn');
@@ -48,7 +79,7 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     // ========================================
-    // 3. SMOOTH SCROLL
+    // 4. SMOOTH SCROLL
     // ========================================
     document.querySelectorAll('a[href^="#"]').forEach(anchor => {
         anchor.addEventListener('click', function(e) {
@@ -68,319 +99,338 @@ document.addEventListener('DOMContentLoaded', function() {
     });
 
     // ========================================
-    // 4. STATS COUNTER ANIMATION
+    // 5. ANIMATIONS
     // ========================================
-    function animateCounters() {
-        const statNumbers = document.querySelectorAll('.stat-number');
-        
-        statNumbers.forEach(stat => {
-            const target = parseInt(stat.getAttribute('data-target'));
-            const suffix = stat.getAttribute('data-suffix') || '';
-            const duration = 2000;
-            const step = target / (duration / 16);
-            let current = 0;
-
-            const counter = setInterval(() => {
-                current += step;
-                if (current >= target) {
-                    stat.textContent = target + suffix;
-                    clearInterval(counter);
-                } else {
-                    stat.textContent = Math.floor(current) + suffix;
-                }
-            }, 16);
-        });
+    // [data-animate] elements play as they scroll into view, cards the CMS
+    // renders later included (see animate.js)
+    function initAnimations() {
+        if (typeof Animate !== 'undefined') {
+            Animate.init();
+        }
     }
 
     // ========================================
-    // 5. CALCULATOR
+    // 6. CALCULATOR
     // ========================================
+    // Pricing lives in src/js/pricing.js; rates come from content/settings/calculator.yml
     const calculator = document.querySelector('.calculator-wrapper');
-    if (calculator) {
-        const typeOptions = document.querySelectorAll('.calc-option[data-type]');
-        const finishOptions = document.querySelectorAll('.calc-option[data-finish]');
-        const rangeSlider = document.querySelector('.range-slider');
-        const rangeValue = document.querySelector('.range-value');
-        const resultValue = document.querySelector('.calc-result-value');
-
-        let selectedType = ' квартира';
-        let selectedFinish = 'стандарт';
-        let currentValue = 100;
-
-        // Price per m²
-        const prices = {
-            ' дом': 15000,
-            ' квартира': 12000,
-            ' коммерция': 18000,
-            ' ремонт': 8000
-        };
-
-        // Finish multipliers
-        const multipliers = {
-            'эконом': 1,
-            'стандарт': 1.5,
-            'премиум': 2.5
-        };
-
-        // Type selection
-        typeOptions.forEach(option => {
-            option.addEventListener('click', () => {
-                typeOptions.forEach(opt => opt.classList.remove('active'));
-                option.classList.add('active');
-                selectedType = option.getAttribute('data-type');
-                calculatePrice();
-            });
-        });
+    if (calculator && typeof PricingEngine !== 'undefined') {
+        const rangeSlider = calculator.querySelector('.range-slider');
+        const rangeValue = calculator.querySelector('.range-value');
+        const rangeLabels = calculator.querySelectorAll('.range-labels span');
+        const resultValue = calculator.querySelector('.calc-result-value');
+        const breakdown = calculator.querySelector('.calc-breakdown');
+        const printLink = calculator.querySelector('.calc-print-link');
+        const leadForm = document.getElementById('contactForm');
+        const leadSummary = leadForm ? leadForm.querySelector('.form-estimate') : null;
+
+        let engine = new PricingEngine();
+        let state = engine.getDefaults();
+        // Estimates only go into the lead form once the visitor has used the calculator
+        let touched = false;
+        let tracked = false;
+
+        // Shared link: ?calc_type=...&calc_finish=...&calc_area=...&calc_addons=...
+        const sharedState = PricingEngine.fromParams(window.location.search);
+        if (sharedState) {
+            state = engine.resolveState(sharedState);
+            touched = true;
+        }
 
-        // Finish selection
-        finishOptions.forEach(option => {
-            option.addEventListener('click', () => {
-                finishOptions.forEach(opt => opt.classList.remove('active'));
-                option.classList.add('active');
-                selectedFinish = option.getAttribute('data-finish');
-                calculatePrice();
+        function renderOptions() {
+            const { config } = engine;
+            const groups = {
+                type: { items: config.types, attribute: 'data-type' },
+                finish: { items: config.finishes, attribute: 'data-finish' },
+                addons: { items: config.addons || [], attribute: 'data-addon' }
+            };
+
+            Object.entries(groups).forEach(([name, group]) => {
+                const container = calculator.querySelector(`[data-options="${name}"]`);
+                if (!container) return;
+
+                container.innerHTML = group.items
+                    .map(item => `<div class="calc-option" ${group.attribute}="${Template.escape(item.id)}">${Template.escape(item.label)}</div>`)
+                    .join('');
+
+                // Hide the add-ons step when the CMS defines none
+                const step = container.closest('.calc-step');
+                if (step) step.hidden = group.items.length === 0;
             });
-        });
 
-        // Range slider
-        if (rangeSlider && rangeValue) {
-            rangeSlider.addEventListener('input', (e) => {
-                currentValue = parseInt(e.target.value);
-                rangeValue.textContent = currentValue + ' м²';
-                calculatePrice();
-            });
+            if (rangeSlider) {
+                rangeSlider.min = config.area.min;
+                rangeSlider.max = config.area.max;
+                rangeSlider.step = config.area.step || 1;
+                rangeSlider.value = state.area;
+            }
+            if (rangeLabels.length === 2) {
+                rangeLabels[0].textContent = I18n.t('common.sqm', { value: config.area.min });
+                rangeLabels[1].textContent = I18n.t('common.sqm', { value: config.area.max });
+            }
         }
 
-        function calculatePrice() {
-            if (resultValue) {
-                const pricePerSqm = prices[selectedType] || 12000;
-                const multiplier = multipliers[selectedFinish] || 1;
-                const total = Math.round(currentValue * pricePerSqm * multiplier);
-                resultValue.textContent = total.toLocaleString('ru-RU') + ' ₽';
+        function syncActive() {
+            calculator.querySelectorAll('.calc-option[data-type]').forEach(option => {
+                option.classList.toggle('active', option.getAttribute('data-type') === state.type);
+            });
+            calculator.querySelectorAll('.calc-option[data-finish]').forEach(option => {
+                option.classList.toggle('active', option.getAttribute('data-finish') === state.finish);
+            });
+            calculator.querySelectorAll('.calc-option[data-addon]').forEach(option => {
+                option.classList.toggle('active', state.addons.includes(option.getAttribute('data-addon')));
+            });
+            if (rangeValue) {
+                rangeValue.textContent = I18n.t('common.sqm', { value: state.area });
             }
         }
 
-        // Initialize
-        typeOptions[1].classList.add('active');
-        finishOptions[1].classList.add('active');
-    }
+        function calculatePrice() {
+            let estimate;
+            try {
+                estimate = engine.calculate(state);
+            } catch (error) {
+                console.error('Calculator error:', error);
+                return;
+            }
 
-    // ========================================
-    // 6. REVIEWS SLIDER
-    // ========================================
-    const reviewsSlider = document.querySelector('.reviews-track');
-    const reviewDots = document.querySelectorAll('.review-dot');
-    const reviewArrows = document.querySelectorAll('.review-arrow');
-    
-    let currentSlide = 0;
-    const totalSlides = reviewDots.length;
-
-    function goToSlide(index) {
-        currentSlide = index;
-        if (reviewsSlider) {
-            reviewsSlider.style.transform = `translateX(-${currentSlide * 100}%)`;
-        }
-        reviewDots.forEach((dot, i) => {
-            dot.classList.toggle('active', i === currentSlide);
-        });
-    }
+            if (resultValue) {
+                resultValue.textContent = PricingEngine.format(estimate.total, estimate.currency);
+            }
 
-    reviewDots.forEach((dot, index) => {
-        dot.addEventListener('click', () => goToSlide(index));
-    });
+            if (breakdown) {
+                breakdown.innerHTML = estimate.items
+                    .map(item => `
+                        <li class="calc-breakdown-item">
+                            <span>${Template.escape(item.label)}</span>
+                            <span>${PricingEngine.format(item.amount, estimate.currency)}</span>
+                        </li>
+                    `)
+                    .join('');
+            }
 
-    reviewArrows.forEach(arrow => {
-        arrow.addEventListener('click', () => {
-            const direction = arrow.getAttribute('data-direction');
-            let newIndex = currentSlide;
-            
-            if (direction === 'prev') {
-                newIndex = currentSlide > 0 ? currentSlide - 1 : totalSlides - 1;
-            } else {
-                newIndex = currentSlide < totalSlides - 1 ? currentSlide + 1 : 0;
+            const params = PricingEngine.toParams(state);
+            if (printLink) {
+                printLink.href = `/estimate.html?${params}`;
             }
-            
-            goToSlide(newIndex);
-        });
-    });
 
-    // Auto-rotate reviews
-    setInterval(() => {
-        if (totalSlides > 1) {
-            const nextSlide = currentSlide < totalSlides - 1 ? currentSlide + 1 : 0;
-            goToSlide(nextSlide);
+            if (touched) {
+                updateUrl(params);
+                attachEstimate(estimate, params);
+            }
         }
-    }, 5000);
 
-    // ========================================
-    // 7. FORM SUBMISSION
-    // ========================================
-    const contactForm = document.getElementById('contactForm');
-    if (contactForm) {
-        contactForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            const formData = new FormData(contactForm);
-            const submitBtn = contactForm.querySelector('button[type="submit"]');
-            const originalText = submitBtn.textContent;
-            
-            submitBtn.textContent = 'Отправка...';
-            submitBtn.disabled = true;
-            
+        // calc_type, calc_finish, calc_area, calc_addons and the total for analytics
+        function estimateParams() {
+            const params = Object.fromEntries(PricingEngine.toParams(state));
             try {
-                const response = await fetch('https://formspree.io/f/mlgwvgkv', {
-                    method: 'POST',
-                    body: formData,
-                    headers: {
-                        'Accept': 'application/json'
-                    }
-                });
-                
-                if (response.ok) {
-                    alert('Спасибо! Ваша заявка отправлена. Мы свяжемся с вами в ближайшее время.');
-                    contactForm.reset();
-                } else {
-                    alert('Ошибка отправки. Пожалуйста, попробуйте позже.');
-                }
+                params.calc_total = engine.calculate(state).total;
             } catch (error) {
-                alert('Ошибка отправки. Пожалуйста, попробуйте позже.');
+                // Incomplete state: send the choices without a total
             }
-            
-            submitBtn.textContent = originalText;
-            submitBtn.disabled = false;
-        });
-    }
+            return params;
+        }
 
-    // ========================================
-    // GSAP ANIMATIONS
-    // ========================================
-    function initAnimations() {
-        if (typeof gsap !== 'undefined' && typeof ScrollTrigger !== 'undefined') {
-            gsap.registerPlugin(ScrollTrigger);
-
-            // Hero content animation
-            gsap.to('.hero-content', {
-                opacity: 1,
-                y: 0,
-                duration: 1,
-                delay: 0.3,
-                ease: 'power3.out'
-            });
+        // One calculator_use per page view, on the first option or area change
+        function trackUse() {
+            if (!tracked) {
+                tracked = true;
+                track('calculator_use', estimateParams());
+            }
+        }
 
-            // Stats animation
-            gsap.to('.stat-item', {
-                opacity: 1,
-                y: 0,
-                duration: 0.8,
-                stagger: 0.15,
-                scrollTrigger: {
-                    trigger: '.stats',
-                    start: 'top 80%'
-                }
-            });
+        // Keep the estimate in the address bar so it can be shared or bookmarked
+        function updateUrl(params) {
+            const search = new URLSearchParams(window.location.search);
+            params.forEach((value, key) => search.set(key, value));
+            if (!params.has('calc_addons')) {
+                search.delete('calc_addons');
+            }
+            history.replaceState(history.state, '', `${window.location.pathname}?${search}${window.location.hash}`);
+        }
 
-            // Services animation
-            gsap.to('.service-card', {
-                opacity: 1,
-                y: 0,
-                duration: 0.6,
-                stagger: 0.1,
-                scrollTrigger: {
-                    trigger: '.services',
-                    start: 'top 75%'
+        // Structured hidden fields so the manager sees what the lead calculated
+        function attachEstimate(estimate, params) {
+            if (!leadForm) return;
+
+            const type = engine.getType(estimate.type);
+            const finish = engine.getFinish(estimate.finish);
+            const fields = {
+                estimate_type: type.label,
+                estimate_finish: finish.label,
+                estimate_area: estimate.area,
+                estimate_addons: estimate.addons.map(id => engine.getAddon(id).label).join(', '),
+                estimate_total: estimate.total,
+                estimate_summary: engine.describe(estimate),
+                estimate_link: `${window.location.origin}${window.location.pathname}?${params}#calculator`
+            };
+
+            Object.entries(fields).forEach(([name, value]) => {
+                let input = leadForm.querySelector(`input[name="${name}"]`);
+                if (!input) {
+                    input = document.createElement('input');
+                    input.type = 'hidden';
+                    input.name = name;
+                    leadForm.appendChild(input);
                 }
+                input.value = value;
             });
 
-            // Calculator animation
-            gsap.to('.calc-step', {
-                opacity: 1,
-                x: 0,
-                duration: 0.5,
-                stagger: 0.15,
-                scrollTrigger: {
-                    trigger: '.calculator',
-                    start: 'top 75%'
-                }
-            });
+            if (leadSummary) {
+                leadSummary.textContent = I18n.t('calc.yourEstimate', { summary: fields.estimate_summary });
+                leadSummary.hidden = false;
+            }
+        }
 
-            // Portfolio animation
-            gsap.to('.portfolio-item', {
-                opacity: 1,
-                scale: 1,
-                duration: 0.6,
-                stagger: 0.1,
-                scrollTrigger: {
-                    trigger: '.portfolio',
-                    start: 'top 75%'
-                }
-            });
+        // Option clicks (delegated: options are re-rendered from the CMS)
+        calculator.addEventListener('click', (e) => {
+            if (e.target.closest('.calc-send-link')) {
+                touched = true;
+                calculatePrice();
+                track('calculator_send', estimateParams());
+                return;
+            }
 
-            // Advantages animation
-            gsap.to('.advantage-card', {
-                opacity: 1,
-                y: 0,
-                duration: 0.5,
-                stagger: 0.1,
-                scrollTrigger: {
-                    trigger: '.advantages',
-                    start: 'top 75%'
-                }
-            });
+            if (e.target.closest('.calc-print-link')) {
+                track('estimate_print', estimateParams());
+                return;
+            }
 
-            // Stats counter on scroll
-            ScrollTrigger.create({
-                trigger: '.stats',
-                start: 'top 80%',
-                onEnter: () => {
-                    animateCounters();
-                },
-                once: true
-            });
+            const option = e.target.closest('.calc-option');
+            if (!option) return;
 
-            // Section headers animation
-            gsap.to('.section-header', {
-                opacity: 1,
-                y: 0,
-                duration: 0.8,
-                scrollTrigger: {
-                    trigger: '.section-header',
-                    start: 'top 80%'
-                }
-            });
-        } else {
-            // Fallback: show elements without GSAP
-            document.querySelectorAll('.fade-up').forEach(el => {
-                el.classList.add('visible');
+            touched = true;
+
+            if (option.hasAttribute('data-type')) {
+                state.type = option.getAttribute('data-type');
+            } else if (option.hasAttribute('data-finish')) {
+                state.finish = option.getAttribute('data-finish');
+            } else if (option.hasAttribute('data-addon')) {
+                const addon = option.getAttribute('data-addon');
+                state.addons = state.addons.includes(addon)
+                    ? state.addons.filter(id => id !== addon)
+                    : [...state.addons, addon];
+            }
+
+            syncActive();
+            calculatePrice();
+            trackUse();
+        });
+
+        // Range slider
+        if (rangeSlider) {
+            rangeSlider.addEventListener('input', (e) => {
+                touched = true;
+                state.area = engine.clampArea(e.target.value);
+                syncActive();
+                calculatePrice();
+                trackUse();
             });
         }
+
+        // Initialize with built-in rates, then switch to the CMS ones
+        renderOptions();
+        syncActive();
+        calculatePrice();
+
+        if (window.cmsLoader) {
+            window.cmsLoader.ready
+                .then(() => window.cmsLoader.loadSettings('calculator'))
+                .then(config => {
+                    if (!config) return;
+                    engine = new PricingEngine(config);
+
+                    // Keep what the visitor already picked if the CMS still offers it
+                    state = engine.resolveState(state);
+                    renderOptions();
+                    syncActive();
+                    calculatePrice();
+                })
+                .catch(error => console.error('Error loading calculator settings:', error));
+        }
     }
 
-    // Fallback scroll animations
-    const fadeElements = document.querySelectorAll('.stat-item, .service-card, .calc-step, .portfolio-item, .advantage-card, .section-header');
-    
-    const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                entry.target.style.opacity = '1';
-                entry.target.style.transform = 'translateY(0)';
+    // ========================================
+    // 7. REVIEWS SLIDER
+    // ========================================
+    // Slides come from the reviews collection (see index.html)
+    const reviewsSlider = document.querySelector('.reviews-slider');
+    if (reviewsSlider && typeof Carousel !== 'undefined') {
+        new Carousel(reviewsSlider, {
+            interval: 5000,
+            classes: {
+                arrow: 'review-arrow',
+                dots: 'reviews-dots',
+                dot: 'review-dot',
+                toggle: 'review-toggle'
             }
         });
-    }, { threshold: 0.1 });
+    }
 
-    fadeElements.forEach(el => {
-        el.style.opacity = '0';
-        el.style.transform = 'translateY(30px)';
-        el.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-        observer.observe(el);
-    });
-});
+    // ========================================
+    // 8. PORTFOLIO FILTERS
+    // ========================================
+    // Renders the portfolio grid, pre-rendered pages included, since the
+    // chips need the full list of projects
+    const portfolioGrid = document.getElementById('portfolioGrid');
+    const portfolioFilters = document.getElementById('portfolioFilters');
+    if (portfolioGrid && portfolioFilters && window.cmsLoader && typeof PortfolioFilter !== 'undefined') {
+        window.cmsLoader.ready
+            .then(() => window.cmsLoader.query('portfolio'))
+            .then(({ items }) => {
+                if (items.length > 0) {
+                    new PortfolioFilter(portfolioFilters, portfolioGrid, items, project => window.cmsLoader.createPortfolioItem(project));
+                }
+            })
+            .catch(error => console.error('Error loading portfolio:', error));
+    }
 
-// Mobile call button click
-document.addEventListener('DOMContentLoaded', function() {
-    const mobileCallBtn = document.querySelector('.mobile-call-btn');
-    if (mobileCallBtn) {
-        mobileCallBtn.addEventListener('click', () => {
-            window.location.href = 'tel:+79677397117';
+    // ========================================
+    // 9. SITE SEARCH
+    // ========================================
+    const siteSearch = document.querySelector('[data-search]');
+    if (siteSearch && window.cmsLoader && typeof SiteSearch !== 'undefined') {
+        new SiteSearch(siteSearch, window.cmsLoader);
+    }
+
+    // ========================================
+    // 10. FORM SUBMISSION
+    // ========================================
+    const contactForm = document.getElementById('contactForm');
+    if (contactForm && typeof LeadForm !== 'undefined') {
+        const lead = new LeadForm(contactForm);
+
+        // Provider and endpoint come from content/settings/forms.yml
+        const configured = window.cmsLoader
+            ? window.cmsLoader.ready
+                .then(() => window.cmsLoader.loadSettings('forms'))
+                .then(settings => {
+                    if (settings) lead.configure(settings);
+                })
+                .catch(error => console.warn('Using default form settings:', error))
+            : Promise.resolve();
+
+        // Send anything queued while offline on a previous visit
+        configured.then(() => lead.flushQueue());
+
+        // Contact details stay out of analytics; only what the lead is about
+        contactForm.addEventListener('lead:sent', e => {
+            const { lead: sent, queued } = e.detail;
+            const params = { project_type: sent.project_type, queued };
+            ['estimate_type', 'estimate_finish', 'estimate_area', 'estimate_total'].forEach(name => {
+                if (sent[name]) params[name] = sent[name];
+            });
+            track('lead_submit', params);
         });
     }
 });
+
+// Offline support: precaches pages and content (see /sw.js)
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    });
+}
+
@@ -0,0 +1,190 @@
+// Portfolio Filter
+// Filter chips for the homepage portfolio: object type, year and area
+// range. Only values that occur in the loaded projects get a chip, and the
+// selection is kept in the URL (?type=, ?year=, ?area=) so a filtered view
+// can be shared or bookmarked.
+
+class PortfolioFilter {
+    constructor(root, grid, items, render) {
+        this.root = root;
+        this.grid = grid;
+        this.items = items;
+        this.render = render;
+        this.options = this.collectOptions();
+        this.state = this.readUrl();
+
+        this.root.addEventListener('click', e => {
+            const chip = e.target.closest('[data-filter]');
+            if (chip) {
+                this.select(chip.dataset.filter, chip.dataset.value || null);
+            }
+        });
+
+        this.grid.addEventListener('click', e => {
+            if (e.target.closest('[data-filter-reset]')) {
+                this.reset();
+            }
+        });
+
+        this.renderChips();
+        this.update();
+    }
+
+    // Field accessors; older entries use category/area instead of type/square
+    static value(item, filter) {
+        switch (filter) {
+            case 'type':
+                return item.type || item.category || null;
+            case 'year':
+                return item.year ? String(item.year) : null;
+            case 'area':
+                return Number(item.square || item.area) || null;
+            default:
+                return null;
+        }
+    }
+
+    static rangeLabel(range) {
+        if (range.min === undefined) {
+            return I18n.t('portfolio.areaUpTo', { max: range.max });
+        }
+        if (range.max === undefined) {
+            return I18n.t('portfolio.areaFrom', { min: range.min });
+        }
+        return I18n.t('portfolio.areaBetween', { min: range.min, max: range.max });
+    }
+
+    static inRange(area, range) {
+        return area !== null
+            && (range.min === undefined || area >= range.min)
+            && (range.max === undefined || area < range.max);
+    }
+
+    // { type: [{ value, label }], year: [...], area: [...] }
+    collectOptions() {
+        const unique = filter => [...new Set(this.items.map(item => PortfolioFilter.value(item, filter)).filter(Boolean))];
+        const areas = this.items.map(item => PortfolioFilter.value(item, 'area'));
+
+        return {
+            type: unique('type')
+                .sort((a, b) => a.localeCompare(b, I18n.locale))
+                .map(value => ({ value, label: value })),
+            year: unique('year')
+                .sort((a, b) => b - a)
+                .map(value => ({ value, label: value })),
+            area: PortfolioFilter.areaRanges
+                .filter(range => areas.some(area => PortfolioFilter.inRange(area, range)))
+                .map(range => ({ value: range.id, label: PortfolioFilter.rangeLabel(range) }))
+        };
+    }
+
+    // Values from the URL that match no chip are ignored
+    readUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const state = {};
+        PortfolioFilter.filters.forEach(filter => {
+            const value = params.get(filter);
+            state[filter] = this.options[filter].some(option => option.value === value) ? value : null;
+        });
+        return state;
+    }
+
+    writeUrl() {
+        const url = new URL(window.location.href);
+        PortfolioFilter.filters.forEach(filter => {
+            if (this.state[filter]) {
+                url.searchParams.set(filter, this.state[filter]);
+            } else {
+                url.searchParams.delete(filter);
+            }
+        });
+        history.replaceState(history.state, '', url);
+    }
+
+    matches(item) {
+        return PortfolioFilter.filters.every(filter => {
+            const selected = this.state[filter];
+            if (!selected) {
+                return true;
+            }
+            if (filter === 'area') {
+                const range = PortfolioFilter.areaRanges.find(option => option.id === selected);
+                return PortfolioFilter.inRange(PortfolioFilter.value(item, 'area'), range);
+            }
+            return PortfolioFilter.value(item, filter) === selected;
+        });
+    }
+
+    select(filter, value) {
+        this.state[filter] = this.state[filter] === value ? null : value;
+        this.writeUrl();
+        this.update();
+    }
+
+    reset() {
+        PortfolioFilter.filters.forEach(filter => {
+            this.state[filter] = null;
+        });
+        this.writeUrl();
+        this.update();
+    }
+
+    update() {
+        const { html } = Template;
+        const matched = this.items.filter(item => this.matches(item));
+
+        this.grid.innerHTML = matched.length
+            ? matched.map(item => this.render(item)).join('')
+            : html`
+                <div class="portfolio-empty">
+                    <p>${I18n.t('portfolio.empty')}</p>
+                    <button type="button" class="btn btn-outline" data-filter-reset>${I18n.t('portfolio.reset')}</button>
+                </div>
+            `;
+
+        // Chips stay in place so keyboard focus isn't lost
+        this.root.querySelectorAll('[data-filter]').forEach(chip => {
+            const selected = this.state[chip.dataset.filter] === (chip.dataset.value || null);
+            chip.setAttribute('aria-pressed', String(selected));
+        });
+
+        const count = this.root.querySelector('.filter-count');
+        if (count) {
+            count.textContent = I18n.t('portfolio.found', { count: matched.length, total: this.items.length });
+        }
+    }
+
+    renderChips() {
+        const { html } = Template;
+        // A single value narrows nothing down
+        const groups = PortfolioFilter.filters.filter(filter => this.options[filter].length > 1);
+
+        this.root.hidden = groups.length === 0;
+        this.root.innerHTML = html`
+            ${groups.map(filter => html`
+                <div class="filter-group" role="group" aria-label="${I18n.t(`portfolio.filter.${filter}`)}">
+                    <button type="button" class="filter-chip" data-filter="${filter}" data-value="">${I18n.t('portfolio.all')}</button>
+                    ${this.options[filter].map(option => html`
+                        <button type="button" class="filter-chip" data-filter="${filter}" data-value="${option.value}">${option.label}</button>
+                    `)}
+                </div>
+            `)}
+            <p class="filter-count" role="status"></p>
+        `;
+    }
+}
+
+PortfolioFilter.filters = ['type', 'year', 'area'];
+
+// Lower bound inclusive, upper bound exclusive, in m²
+PortfolioFilter.areaRanges = [
+    { id: '0-50', max: 50 },
+    { id: '50-100', min: 50, max: 100 },
+    { id: '100-200', min: 100, max: 200 },
+    { id: '200+', min: 200 }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortfolioFilter;
+}
@@ -0,0 +1,221 @@
+// Pricing Engine
+// Turns calculator choices into an itemized estimate. Rates, finish
+// multipliers and add-ons come from content/settings/calculator.yml;
+// PricingEngine.defaults mirrors that file for when it can't be loaded.
+
+class PricingEngine {
+    constructor(config = PricingEngine.defaults) {
+        const { defaults } = PricingEngine;
+        this.config = {
+            ...defaults,
+            ...config,
+            area: { ...defaults.area, ...(config && config.area) },
+            // Nothing to price without a type and a finish; add-ons may be empty
+            types: PricingEngine.nonEmpty(config && config.types, defaults.types),
+            finishes: PricingEngine.nonEmpty(config && config.finishes, defaults.finishes)
+        };
+    }
+
+    static nonEmpty(list, fallback) {
+        return Array.isArray(list) && list.length ? list : fallback;
+    }
+
+    // CMS ids are matched loosely: ' Дом' and 'дом' are the same type
+    static normalizeId(value) {
+        return String(value ?? '').trim().toLowerCase();
+    }
+
+    static format(amount, currency = '₽') {
+        return `${I18n.formatNumber(Math.round(amount))} ${currency}`;
+    }
+
+    findOption(list, id) {
+        const key = PricingEngine.normalizeId(id);
+        return (list || []).find(option => PricingEngine.normalizeId(option.id) === key) || null;
+    }
+
+    getType(id) {
+        return this.findOption(this.config.types, id);
+    }
+
+    getFinish(id) {
+        return this.findOption(this.config.finishes, id);
+    }
+
+    getAddon(id) {
+        return this.findOption(this.config.addons, id);
+    }
+
+    getDefaults() {
+        const { types, finishes, area } = this.config;
+        return {
+            type: (this.getType(this.config.default_type) || types[0]).id,
+            finish: (this.getFinish(this.config.default_finish) || finishes[0]).id,
+            area: area.default,
+            addons: []
+        };
+    }
+
+    // Fill in or drop anything the current config doesn't offer
+    resolveState(state = {}) {
+        const defaults = this.getDefaults();
+        const type = this.getType(state.type);
+        const finish = this.getFinish(state.finish);
+
+        return {
+            type: type ? type.id : defaults.type,
+            finish: finish ? finish.id : defaults.finish,
+            area: state.area !== undefined ? this.clampArea(state.area) : defaults.area,
+            addons: (state.addons || [])
+                .map(id => this.getAddon(id))
+                .filter(Boolean)
+                .map(addon => addon.id)
+        };
+    }
+
+    // Estimate <-> URL query (calc_type, calc_finish, calc_area, calc_addons),
+    // used for shareable links and the printable estimate page
+    static toParams(state) {
+        const params = new URLSearchParams();
+        params.set('calc_type', state.type);
+        params.set('calc_finish', state.finish);
+        params.set('calc_area', state.area);
+        if (state.addons && state.addons.length) {
+            params.set('calc_addons', state.addons.join(','));
+        }
+        return params;
+    }
+
+    static fromParams(params) {
+        const search = params instanceof URLSearchParams ? params : new URLSearchParams(params);
+        if (!search.has('calc_type')) {
+            return null;
+        }
+
+        return {
+            type: search.get('calc_type'),
+            finish: search.get('calc_finish'),
+            area: search.has('calc_area') ? Number(search.get('calc_area')) : undefined,
+            addons: (search.get('calc_addons') || '').split(',').filter(Boolean)
+        };
+    }
+
+    // One-line description for lead forms and messengers
+    describe(estimate) {
+        const type = this.getType(estimate.type);
+        const finish = this.getFinish(estimate.finish);
+        const addons = estimate.addons.map(id => this.getAddon(id).label);
+
+        return [
+            type ? type.label : estimate.type,
+            I18n.t('common.sqm', { value: estimate.area }),
+            I18n.t('pricing.summaryFinish', { finish: finish ? finish.label : estimate.finish }),
+            ...addons
+        ].join(', ') + ` — ${PricingEngine.format(estimate.total, estimate.currency)}`;
+    }
+
+    clampArea(value) {
+        const { min, max } = this.config.area;
+        const area = Number(value);
+        if (!Number.isFinite(area)) {
+            return this.config.area.default;
+        }
+        return Math.min(Math.max(area, min), max);
+    }
+
+    // Returns { items: [{ id, label, amount }], total, perSqm, ... }.
+    // Throws for unknown types or finishes instead of guessing a rate.
+    calculate({ type, finish, area, addons = [] }) {
+        const typeOption = this.getType(type);
+        if (!typeOption) {
+            throw new Error(`Unknown object type: ${type}`);
+        }
+
+        const finishOption = this.getFinish(finish);
+        if (!finishOption) {
+            throw new Error(`Unknown finish: ${finish}`);
+        }
+
+        const sqm = this.clampArea(area);
+        const base = sqm * typeOption.rate;
+        const multiplier = finishOption.multiplier ?? 1;
+        const currency = this.config.currency;
+
+        const items = [{
+            id: 'base',
+            label: I18n.t('pricing.base', { type: typeOption.label, area: sqm, rate: PricingEngine.format(typeOption.rate, currency) }),
+            amount: base
+        }];
+
+        if (multiplier !== 1) {
+            items.push({
+                id: 'finish',
+                label: I18n.t('pricing.finish', { finish: finishOption.label, multiplier }),
+                amount: base * (multiplier - 1)
+            });
+        }
+
+        addons.forEach(id => {
+            const addon = this.getAddon(id);
+            if (!addon) {
+                console.warn('Unknown calculator add-on:', id);
+                return;
+            }
+
+            const perSqm = addon.price_per_sqm || 0;
+            const fixed = addon.price_fixed || 0;
+            items.push({
+                id: addon.id,
+                label: perSqm
+                    ? I18n.t('pricing.addon', { addon: addon.label, area: sqm, rate: PricingEngine.format(perSqm, currency) })
+                    : addon.label,
+                amount: sqm * perSqm + fixed
+            });
+        });
+
+        items.forEach(item => {
+            item.amount = Math.round(item.amount);
+        });
+
+        const total = items.reduce((sum, item) => sum + item.amount, 0);
+
+        return {
+            type: typeOption.id,
+            finish: finishOption.id,
+            area: sqm,
+            addons: items.filter(item => !['base', 'finish'].includes(item.id)).map(item => item.id),
+            items,
+            total,
+            perSqm: Math.round(total / sqm),
+            currency
+        };
+    }
+}
+
+PricingEngine.defaults = {
+    currency: '₽',
+    default_type: 'квартира',
+    default_finish: 'стандарт',
+    area: { min: 20, max: 500, step: 1, default: 100 },
+    types: [
+        { id: 'дом', label: 'Дом', rate: 15000 },
+        { id: 'квартира', label: 'Квартира', rate: 12000 },
+        { id: 'коммерция', label: 'Коммерция', rate: 18000 },
+        { id: 'ремонт', label: 'Ремонт', rate: 8000 }
+    ],
+    finishes: [
+        { id: 'эконом', label: 'Эконом', multiplier: 1 },
+        { id: 'стандарт', label: 'Стандарт', multiplier: 1.5 },
+        { id: 'премиум', label: 'Премиум', multiplier: 2.5 }
+    ],
+    addons: [
+        { id: 'demolition', label: 'Демонтаж', price_per_sqm: 800 },
+        { id: 'design', label: 'Дизайн-проект', price_per_sqm: 2500 },
+        { id: 'engineering', label: 'Инженерные системы', price_per_sqm: 3500 }
+    ]
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PricingEngine;
+}
@@ -0,0 +1,306 @@
+// Router
+// Client-side navigation between clean URLs on the detail pages:
+// /services/:slug, /portfolio/:slug and /:slug for CMS pages, each with an
+// optional /<locale> prefix. Links to them render into [data-router-view]
+// with the same CMSLoader methods as the static build, update the title,
+// description and SEO tags, and push a history entry; back/forward restores
+// the scroll position. Content is prefetched when a link is hovered or
+// focused. Unknown slugs get a 404 view. Links to other locales and to
+// anything that isn't a route load normally.
+//
+// The old service.html?slug= links still match, so bookmarks keep working.
+
+class Router {
+    constructor(loader, { view = '[data-router-view]', routes = Router.routes, lightbox = null } = {}) {
+        this.loader = loader;
+        this.view = typeof view === 'string' ? document.querySelector(view) : view;
+        this.routes = routes;
+        // Pointed at each rendered gallery, see enhance()
+        this.lightbox = lightbox;
+        // 'collection:slug' -> Promise of the item, so a hovered link isn't loaded twice
+        this.prefetched = new Map();
+        // Path and query of the rendered view; #fragment changes don't re-render
+        this.current = null;
+        this.scrollTimer = null;
+    }
+
+    // Pre-rendered pages already show their content; others render the current URL
+    start() {
+        if (!this.view) {
+            return Promise.resolve();
+        }
+
+        // The browser would restore before the view is rendered
+        history.scrollRestoration = 'manual';
+
+        document.addEventListener('click', e => this.handleClick(e));
+        ['mouseover', 'focusin', 'touchstart'].forEach(type => {
+            document.addEventListener(type, e => this.handleIntent(e), { passive: true });
+        });
+        window.addEventListener('popstate', () => {
+            if (window.location.pathname + window.location.search !== this.current) {
+                this.render(window.location).then(() => {
+                    this.restoreScroll();
+                    this.focusView();
+                });
+            }
+        });
+        window.addEventListener('scroll', () => {
+            clearTimeout(this.scrollTimer);
+            this.scrollTimer = setTimeout(() => this.saveScroll(), 100);
+        }, { passive: true });
+
+        if (document.documentElement.hasAttribute('data-prerendered')) {
+            this.current = window.location.pathname + window.location.search;
+            return Promise.resolve();
+        }
+        return this.render(window.location).then(() => this.restoreScroll());
+    }
+
+    // { route, slug, locale } for a URL, or null
+    static match(url, routes = Router.routes) {
+        const { pathname, searchParams } = new URL(url, 'http://localhost');
+
+        const shell = routes.find(route => route.shell === pathname);
+        if (shell) {
+            const slug = searchParams.get('slug');
+            const lang = searchParams.get('lang');
+            return slug ? { route: shell, slug, locale: I18n.isSupported(lang) ? lang : I18n.defaultLocale } : null;
+        }
+
+        const prefix = pathname.match(/^\/([^/]+)(?=\/|$)/);
+        const locale = prefix && I18n.isSupported(prefix[1]) ? prefix[1] : I18n.defaultLocale;
+        const bare = I18n.localizePath(pathname, I18n.defaultLocale);
+
+        for (const route of routes) {
+            const found = bare.match(Router.compile(route.path));
+            if (!found) {
+                continue;
+            }
+            const slug = decodeURIComponent(found[1]);
+            if (!Router.reserved.includes(slug)) {
+                return { route, slug, locale };
+            }
+        }
+        return null;
+    }
+
+    // '/services/:slug' -> /^\/services\/([^/.]+)\/?$/; dots are left to files
+    static compile(path) {
+        const pattern = path
+            .replace(/[/]/g, '\\/')
+            .replace(/:\w+/g, '([^/.]+)');
+        return new RegExp(`^${pattern}\\/?$`);
+    }
+
+    // Same-origin links to a route in this page's locale
+    matchLink(link) {
+        if (!link || link.target && link.target !== '_self' || link.hasAttribute('download')) {
+            return null;
+        }
+
+        const url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin) {
+            return null;
+        }
+
+        const match = Router.match(url, this.routes);
+        return match && match.locale === this.loader.locale ? { url, match } : null;
+    }
+
+    handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+            return;
+        }
+
+        const target = this.matchLink(e.target.closest('a[href]'));
+        if (!target) {
+            return;
+        }
+
+        const { url } = target;
+        // Same page, other #fragment: the browser (and Lightbox) handle it
+        if (url.pathname === window.location.pathname && url.search === window.location.search && url.hash) {
+            return;
+        }
+
+        e.preventDefault();
+        this.navigate(url);
+    }
+
+    handleIntent(e) {
+        const link = e.target.closest && e.target.closest('a[href]');
+        const target = this.matchLink(link);
+        if (target) {
+            this.prefetch(target.match);
+        }
+    }
+
+    async navigate(url) {
+        this.saveScroll();
+        history.pushState({ scroll: 0 }, '', url.pathname + url.search + url.hash);
+
+        try {
+            await this.render(url);
+
+            const anchor = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+            if (anchor) {
+                anchor.scrollIntoView();
+            } else {
+                window.scrollTo(0, 0);
+            }
+            this.focusView();
+        } catch (error) {
+            console.error('Error navigating:', error);
+        }
+    }
+
+    prefetch(match) {
+        const key = `${match.route.collection}:${match.slug}`;
+        if (!this.prefetched.has(key)) {
+            this.prefetched.set(key, this.load(match).catch(error => {
+                console.error('Error loading route:', error);
+                return null;
+            }));
+        }
+        return this.prefetched.get(key);
+    }
+
+    // The item for a match, with the built-in fallback content for the demo slugs
+    async load({ route, slug }) {
+        const item = await this.loader.loadContent(route.collection, slug);
+        if (item) {
+            return item;
+        }
+
+        const fallback = this.loader.getFallbackContent(route.collection, slug);
+        return fallback ? { ...fallback, slug, collection: route.collection } : null;
+    }
+
+    // Errors end in the 404 view instead of a half-rendered page
+    async render(location) {
+        const url = new URL(location);
+        const match = Router.match(url, this.routes);
+        const current = this.current = url.pathname + url.search;
+        const route = match ? match.route : this.routes[this.routes.length - 1];
+
+        try {
+            const item = match && await this.prefetch(match);
+            // A failed load may succeed on the next visit
+            if (match && !item) {
+                this.prefetched.delete(`${match.route.collection}:${match.slug}`);
+            }
+
+            const related = item ? await this.loader.getRelated(match.route.collection, item.slug) : [];
+            const settings = await this.loader.loadSettings() || {};
+            // Clicked away while this was loading
+            if (this.current !== current) {
+                return;
+            }
+            if (item) {
+                this.renderItem(match.route, item, related, settings);
+            } else {
+                this.renderNotFound(route, settings);
+            }
+
+            this.updateLocaleLinks();
+        } catch (error) {
+            console.error('Error rendering route:', error);
+            if (this.current === current) {
+                this.renderNotFound(route, {});
+            }
+        }
+    }
+
+    renderItem(route, item, related, settings) {
+        const { html } = Template;
+        this.view.innerHTML = html`
+            <section class="${route.section}">
+                <div class="container">${this.loader[route.render](item, related)}</div>
+            </section>
+        `;
+
+        const seo = Seo.forItem(this.loader, item, settings);
+        this.setHead(seo.title, seo.description);
+        Seo.apply(seo);
+        this.enhance(this.view);
+    }
+
+    renderNotFound(route, settings) {
+        const { html } = Template;
+        const title = I18n.t(`${route.notFound}.notFound`);
+
+        this.view.innerHTML = html`
+            <section class="not-found">
+                <div class="container">
+                    <p class="not-found-code">404</p>
+                    <h1 class="not-found-title">${title}</h1>
+                    <p class="not-found-text">${I18n.t(`${route.notFound}.notFoundText`)}</p>
+                    <a href="${this.loader.getHomeUrl()}" class="btn btn-primary">${I18n.t('common.backHome')}</a>
+                </div>
+            </section>
+        `;
+
+        this.setHead(`${title} - ${settings.site_title || 'АСБ РУМ ПРО'}`, '');
+        Seo.apply({ meta: html`<meta name="robots" content="noindex" data-seo>` });
+    }
+
+    setHead(title, description) {
+        document.title = title;
+        const meta = document.querySelector('meta[name="description"]');
+        if (meta) {
+            meta.setAttribute('content', description);
+        }
+    }
+
+    // Widgets inside the rendered content. pushState fires no hashchange, so
+    // the lightbox opens a #photo-N link here once its gallery exists.
+    enhance(view) {
+        if (typeof BeforeAfter !== 'undefined') {
+            BeforeAfter.init(view);
+        }
+        if (this.lightbox) {
+            this.lightbox.refresh();
+            this.lightbox.openFromHash();
+        }
+    }
+
+    // hreflang links and the language switcher point at the new URL
+    updateLocaleLinks() {
+        document.head.querySelectorAll('link[rel="alternate"][hreflang][data-static]').forEach(link => link.remove());
+        I18n.updateAlternateLinks();
+        document.querySelectorAll('[data-locale-switcher]').forEach(container => I18n.renderSwitcher(container));
+    }
+
+    // Screen readers start reading from the new heading
+    focusView() {
+        const heading = this.view.querySelector('h1');
+        if (heading) {
+            heading.setAttribute('tabindex', '-1');
+            heading.focus({ preventScroll: true });
+        }
+    }
+
+    saveScroll() {
+        history.replaceState({ ...history.state, scroll: window.scrollY }, '');
+    }
+
+    restoreScroll() {
+        window.scrollTo(0, (history.state && history.state.scroll) || 0);
+    }
+}
+
+// Most specific first: /:slug would match any single segment
+Router.routes = [
+    { path: '/services/:slug', collection: 'services', shell: '/service.html', section: 'service-detail', render: 'createServiceDetail', notFound: 'service' },
+    { path: '/portfolio/:slug', collection: 'portfolio', shell: '/project.html', section: 'project-detail', render: 'createProjectDetail', notFound: 'project' },
+    { path: '/:slug', collection: 'pages', shell: '/page.html', section: 'page-detail', render: 'createPageDetail', notFound: 'page' }
+];
+
+// Top-level folders that aren't CMS pages
+Router.reserved = ['admin', 'assets', 'content', 'src', 'services', 'portfolio', 'pages'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Router;
+}
@@ -0,0 +1,410 @@
+// Site search
+// Full-text search over services, portfolio projects and CMS pages: titles,
+// descriptions, Markdown bodies and FAQ answers. Words are normalized (case,
+// ё -> е) and stemmed, Cyrillic ones with a Snowball-style Russian stemmer and
+// Latin ones with a light English one, so "газобетона" finds "газобетон" and
+// "ремонты" finds "ремонт". The last word of the query also matches as a
+// prefix while it is being typed.
+//
+// npm run build writes the index to /search-index.json (/en/search-index.json);
+// without it, as on the dev server, the browser builds one from the collections.
+
+// Script tag in the browser, require() in Node
+const SearchTemplate = typeof Template !== 'undefined' ? Template : require('./template.js');
+
+class SearchIndex {
+    constructor({ documents = [], terms = {} } = {}) {
+        // [{ collection, slug, url, title, description, text }]
+        this.documents = documents;
+        // stem -> [[document, score], ...]
+        this.terms = new Map(Object.entries(terms));
+    }
+
+    static normalize(text) {
+        return String(text ?? '').toLowerCase().replace(/ё/g, 'е');
+    }
+
+    // Words worth indexing, in order
+    static tokenize(text) {
+        return SearchIndex.normalize(text)
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(word => word.length > 1 && !SearchIndex.stopWords.includes(word));
+    }
+
+    static stem(word) {
+        return /[а-я]/.test(word) ? SearchIndex.stemRussian(word) : SearchIndex.stemEnglish(word);
+    }
+
+    // Snowball Russian stemmer: endings are only removed after the first vowel
+    static stemRussian(word) {
+        const { endings } = SearchIndex;
+        const match = word.match(/^(.*?[аеиоуыэюя])(.*)$/);
+        if (!match) {
+            return word;
+        }
+
+        const [, start] = match;
+        let rv = match[2];
+        const strip = pattern => {
+            const stripped = rv.replace(pattern, '');
+            const changed = stripped !== rv;
+            rv = stripped;
+            return changed;
+        };
+
+        if (!strip(endings.perfectiveGerund)) {
+            strip(endings.reflexive);
+            if (strip(endings.adjective)) {
+                strip(endings.participle);
+            } else if (!strip(endings.verb)) {
+                strip(endings.noun);
+            }
+        }
+
+        strip(/и$/);
+        if (endings.derivational.test(rv)) {
+            strip(/ость?$/);
+        }
+        if (!strip(/ь$/)) {
+            strip(/ейше?$/);
+            rv = rv.replace(/нн$/, 'н');
+        }
+
+        return start + rv;
+    }
+
+    // houses/house -> hous, designed/designs -> design
+    static stemEnglish(word) {
+        let stem = word.replace(/^(.{2,})ies$/, '$1y');
+        const stripped = stem.replace(/^(.{3,}?)(ing|ed|es)$/, '$1');
+        stem = stripped !== stem ? stripped : stem.replace(/^(.{3,}[^s])s$/, '$1');
+        return stem.replace(/^(.{3,})e$/, '$1');
+    }
+
+    // Markdown output -> text
+    static plainText(html) {
+        return SearchTemplate.decodeEntities(String(html ?? '').replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+    }
+
+    // FAQ answers are still Markdown: drop the markup, keep link text
+    static stripMarkdown(markdown) {
+        return String(markdown ?? '')
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/[*_`#>~|]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Searchable text of an item, by field (see SearchIndex.weights)
+    static fields(item) {
+        const faq = item.faq || [];
+        const features = item.features || [];
+
+        return {
+            title: item.title || '',
+            description: item.description || '',
+            tags: [item.type || item.category, item.location, ...features.map(entry => entry.feature)].filter(Boolean).join(' '),
+            faq: faq.map(entry => `${entry.question || ''} ${SearchIndex.stripMarkdown(entry.answer)}`).join(' '),
+            body: [SearchIndex.plainText(item.body), item.testimonial && item.testimonial.text].filter(Boolean).join(' ')
+        };
+    }
+
+    // Every active entry of the searchable collections, in the loader's locale;
+    // exclude(collection, item) leaves entries out
+    static async build(loader, { exclude = () => false } = {}) {
+        const index = new SearchIndex();
+        for (const collection of SearchIndex.collections) {
+            const { items } = await loader.query(collection);
+            items
+                .filter(item => !exclude(collection, item))
+                .forEach(item => index.add(collection, item, loader.getItemUrl(collection, item.slug)));
+        }
+        return index;
+    }
+
+    static fromJSON(data) {
+        return new SearchIndex(data);
+    }
+
+    // Where the build puts the index for a locale
+    static url(locale) {
+        const defaultLocale = typeof I18n !== 'undefined' ? I18n.defaultLocale : 'ru';
+        return locale === defaultLocale ? '/search-index.json' : `/${locale}/search-index.json`;
+    }
+
+    // The prebuilt index when there is one, otherwise built from the content
+    static async load(loader) {
+        const prebuilt = await loader.fetchFile(SearchIndex.url(loader.locale));
+        if (prebuilt) {
+            try {
+                return SearchIndex.fromJSON(JSON.parse(prebuilt));
+            } catch (error) {
+                console.error('Error parsing search index:', error);
+            }
+        }
+        return SearchIndex.build(loader);
+    }
+
+    add(collection, item, url) {
+        const id = this.documents.length;
+        const fields = SearchIndex.fields(item);
+        const scores = new Map();
+
+        Object.entries(SearchIndex.weights).forEach(([field, weight]) => {
+            SearchIndex.tokenize(fields[field]).forEach(word => {
+                const stem = SearchIndex.stem(word);
+                scores.set(stem, (scores.get(stem) || 0) + weight);
+            });
+        });
+
+        scores.forEach((score, stem) => {
+            if (!this.terms.has(stem)) {
+                this.terms.set(stem, []);
+            }
+            this.terms.get(stem).push([id, score]);
+        });
+
+        this.documents.push({
+            collection,
+            slug: item.slug,
+            url,
+            title: fields.title || item.slug,
+            description: fields.description,
+            text: [fields.body, fields.faq].filter(Boolean).join(' ')
+        });
+    }
+
+    // Documents matching the most query words, best first:
+    // [{ collection, slug, url, title, description, text, score }]
+    search(query, { limit = 10 } = {}) {
+        const words = SearchIndex.tokenize(query);
+        const typing = !/[^\p{L}\p{N}]$/u.test(query);
+        const total = this.documents.length;
+        const found = new Map();
+
+        words.forEach((word, position) => {
+            const stem = SearchIndex.stem(word);
+            const prefix = typing && position === words.length - 1;
+            const terms = prefix
+                ? [...this.terms.keys()].filter(term => term.startsWith(stem))
+                : (this.terms.has(stem) ? [stem] : []);
+
+            // Best score per document for this word; completions count for less
+            const scores = new Map();
+            terms.forEach(term => {
+                const postings = this.terms.get(term);
+                const idf = Math.log(1 + total / postings.length);
+                const factor = term === stem ? 1 : 0.5;
+                postings.forEach(([id, weight]) => {
+                    scores.set(id, Math.max(scores.get(id) || 0, weight * idf * factor));
+                });
+            });
+
+            scores.forEach((score, id) => {
+                const result = found.get(id) || { score: 0, matched: 0 };
+                result.score += score;
+                result.matched += 1;
+                found.set(id, result);
+            });
+        });
+
+        const best = Math.max(0, ...[...found.values()].map(result => result.matched));
+        return [...found.entries()]
+            .filter(([, result]) => result.matched === best)
+            .sort(([, a], [, b]) => b.score - a.score)
+            .slice(0, limit)
+            .map(([id, result]) => ({ ...this.documents[id], score: result.score }));
+    }
+
+    toJSON() {
+        return { documents: this.documents, terms: Object.fromEntries(this.terms) };
+    }
+
+    // [{ collection, items }] in SearchIndex.collections order
+    static group(results) {
+        return SearchIndex.collections
+            .map(collection => ({ collection, items: results.filter(result => result.collection === collection) }))
+            .filter(group => group.items.length);
+    }
+
+    // Words of text whose stem starts with a query word's stem
+    static matcher(query) {
+        const stems = SearchIndex.tokenize(query).map(word => SearchIndex.stem(word));
+        return word => {
+            const stem = SearchIndex.stem(SearchIndex.normalize(word));
+            return stems.some(queryStem => stem.startsWith(queryStem));
+        };
+    }
+
+    // Escaped text with matching words in <mark>
+    static highlight(text, query) {
+        const matches = SearchIndex.matcher(query);
+        const html = String(text ?? '').replace(/[\p{L}\p{N}]+|[^\p{L}\p{N}]+/gu, part => (
+            /[\p{L}\p{N}]/u.test(part) && part.length > 1 && matches(part)
+                ? `<mark>${SearchTemplate.escape(part)}</mark>`
+                : SearchTemplate.escape(part)
+        ));
+        return SearchTemplate.raw(html);
+    }
+
+    // Up to length characters of text around the first match
+    static snippet(text, query, length = 160) {
+        const source = String(text ?? '');
+        const matches = SearchIndex.matcher(query);
+        const pattern = /[\p{L}\p{N}]+/gu;
+        let first = -1;
+        let match;
+
+        while ((match = pattern.exec(source))) {
+            if (match[0].length > 1 && matches(match[0])) {
+                first = match.index;
+                break;
+            }
+        }
+
+        if (first === -1 || source.length <= length) {
+            return source.length > length ? `${source.slice(0, length).replace(/\s+\S*$/, '')}…` : source;
+        }
+
+        const start = Math.max(0, source.lastIndexOf(' ', Math.max(0, first - length / 3)) + 1);
+        const end = start + length;
+        return `${start > 0 ? '…' : ''}${source.slice(start, end).replace(/\s+\S*$/, '')}${end < source.length ? '…' : ''}`;
+    }
+}
+
+SearchIndex.collections = ['services', 'portfolio', 'pages'];
+
+// A word found in the title counts for more than one in the body
+SearchIndex.weights = { title: 5, description: 3, tags: 2, faq: 2, body: 1 };
+
+SearchIndex.stopWords = [
+    'без', 'в', 'во', 'да', 'для', 'до', 'же', 'за', 'и', 'из', 'или', 'как', 'ко', 'ли', 'на', 'над', 'не', 'но',
+    'об', 'от', 'по', 'под', 'при', 'про', 'со', 'так', 'то', 'что', 'это',
+    'an', 'and', 'are', 'for', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'with'
+];
+
+// Snowball's ending classes; the а/я groups keep that letter
+SearchIndex.endings = {
+    perfectiveGerund: /(ив|ивши|ившись|ыв|ывши|ывшись|(?<=[ая])(в|вши|вшись))$/,
+    reflexive: /(ся|сь)$/,
+    adjective: /(ее|ие|ые|ое|ими|ыми|ей|ий|ый|ой|ем|им|ым|ом|его|ого|ему|ому|их|ых|ую|юю|ая|яя|ою|ею)$/,
+    participle: /(ивш|ывш|ующ|(?<=[ая])(ем|нн|вш|ющ|щ))$/,
+    verb: /(ила|ыла|ена|ейте|уйте|ите|или|ыли|ей|уй|ил|ыл|им|ым|ен|ило|ыло|ено|ят|ует|уют|ит|ыт|ены|ить|ыть|ишь|ую|ю|(?<=[ая])(ла|на|ете|йте|ли|й|л|ем|н|ло|но|ет|ют|ны|ть|ешь|нно))$/,
+    noun: /(а|ев|ов|ие|ье|е|иями|ями|ами|еи|ии|и|ией|ей|ой|ий|й|иям|ям|ием|ем|ам|ом|о|у|ах|иях|ях|ы|ь|ию|ью|ю|ия|ья|я)$/,
+    // "ость" is only removed in R2, after a consonant and then a vowel-consonant pair
+    derivational: /[^аеиоуыэюя].*[аеиоуыэюя][^аеиоуыэюя].*ость?$/
+};
+
+// Search box in the nav: grouped results under the input, arrow keys move
+// between them. The index is loaded on first focus.
+class SiteSearch {
+    constructor(root, loader) {
+        this.root = root;
+        this.loader = loader;
+        this.input = root.querySelector('[data-search-input]');
+        this.results = root.querySelector('[data-search-results]');
+
+        // Warm-up only: update() reports failures when there is a query to answer
+        this.input.addEventListener('focus', () => this.load().catch(() => {}), { once: true });
+        this.input.addEventListener('input', () => this.update());
+        this.root.addEventListener('keydown', e => this.onKeydown(e));
+        this.root.addEventListener('submit', e => {
+            e.preventDefault();
+            const first = this.results.querySelector('a');
+            if (first) {
+                window.location.href = first.href;
+            }
+        });
+        document.addEventListener('click', e => {
+            if (!this.root.contains(e.target)) {
+                this.close();
+            }
+        });
+
+        this.root.hidden = false;
+    }
+
+    load() {
+        this.loading = this.loading || Promise.resolve(this.loader.ready)
+            .then(() => SearchIndex.load(this.loader))
+            .then(index => {
+                this.index = index;
+                return index;
+            })
+            .catch(error => {
+                // The next query tries again
+                this.loading = null;
+                throw error;
+            });
+        return this.loading;
+    }
+
+    async update() {
+        const query = this.input.value;
+        if (!query.trim()) {
+            this.close();
+            return;
+        }
+
+        try {
+            await this.load();
+        } catch (error) {
+            console.error('Error loading search index:', error);
+            return;
+        }
+
+        // A newer keystroke has already rendered
+        if (this.input.value === query) {
+            this.render(query, this.index.search(query, { limit: SiteSearch.limit }));
+        }
+    }
+
+    render(query, results) {
+        const { html } = SearchTemplate;
+
+        this.results.innerHTML = results.length
+            ? SearchIndex.group(results).map(group => html`
+                <div class="search-group">
+                    <p class="search-group-title">${I18n.t(`search.group.${group.collection}`)}</p>
+                    ${group.items.map(item => html`
+                        <a href="${item.url}" class="search-result">
+                            <span class="search-result-title">${SearchIndex.highlight(item.title, query)}</span>
+                            <span class="search-result-snippet">${SearchIndex.highlight(SearchIndex.snippet(item.text || item.description, query), query)}</span>
+                        </a>
+                    `)}
+                </div>
+            `).join('')
+            : html`<p class="search-empty">${I18n.t('search.empty', { query })}</p>`;
+
+        this.results.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    close() {
+        this.results.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+    }
+
+    onKeydown(e) {
+        const links = Array.from(this.results.querySelectorAll('a'));
+        const current = links.indexOf(document.activeElement);
+
+        if (e.key === 'Escape') {
+            this.close();
+            this.input.focus();
+        } else if (e.key === 'ArrowDown' && links.length) {
+            e.preventDefault();
+            links[Math.min(current + 1, links.length - 1)].focus();
+        } else if (e.key === 'ArrowUp' && links.length) {
+            e.preventDefault();
+            (current > 0 ? links[current - 1] : this.input).focus();
+        }
+    }
+}
+
+SiteSearch.limit = 12;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchIndex, SiteSearch };
+}
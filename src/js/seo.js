@@ -0,0 +1,223 @@
+// SEO
+// schema.org JSON-LD, Open Graph and Twitter card tags built from CMS
+// content. The static build writes them into every pre-rendered page;
+// service.html, project.html and page.html swap them in at runtime.
+
+const Seo = {
+    // OG locale names for I18n locales
+    ogLocales: { ru: 'ru_RU', en: 'en_US' },
+
+    absolute(url, siteUrl) {
+        if (!url) {
+            return '';
+        }
+        return new URL(url, `${(siteUrl || '').replace(/\/$/, '')}/`).href;
+    },
+
+    // Markdown and HTML down to plain text for descriptions and FAQ answers
+    plainText(value) {
+        return String(value || '')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/[*_`#>[\]]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    organizationId(siteUrl) {
+        return `${Seo.absolute('/', siteUrl)}#organization`;
+    },
+
+    // GeneralContractor is schema.org's LocalBusiness for builders.
+    // The first office is the head office; the rest become departments.
+    organization(settings, { siteUrl, services = [], locale } = {}) {
+        const offices = settings.offices || [];
+        const [main, ...branches] = offices;
+        const address = office => ({
+            '@type': 'PostalAddress',
+            addressLocality: office.city,
+            ...(office.address ? { streetAddress: office.address } : {}),
+            addressCountry: 'RU'
+        });
+
+        const prices = services
+            .flatMap(service => [service.price_from, service.price_to])
+            .filter(price => typeof price === 'number' && price > 0);
+
+        const sameAs = [settings.vk, ...Object.values(settings.social_links || {})]
+            .filter(link => typeof link === 'string' && /^https?:/.test(link));
+
+        return Seo.compact({
+            '@context': 'https://schema.org',
+            '@type': 'GeneralContractor',
+            '@id': Seo.organizationId(siteUrl),
+            name: settings.site_title,
+            description: settings.site_description,
+            url: Seo.absolute('/', siteUrl),
+            telephone: settings.phone,
+            email: settings.email,
+            image: Seo.absolute(settings.og_image, siteUrl),
+            address: main ? address(main) : settings.address,
+            priceRange: prices.length
+                ? `${I18n.formatNumber(Math.min(...prices), locale)}–${I18n.formatNumber(Math.max(...prices), locale)} ₽`
+                : undefined,
+            areaServed: offices.map(office => office.city),
+            department: branches.map(office => Seo.compact({
+                '@type': 'GeneralContractor',
+                name: `${settings.site_title} — ${office.city}`,
+                telephone: office.phone || settings.phone,
+                address: address(office)
+            })),
+            sameAs
+        });
+    },
+
+    service(service, { siteUrl, url }) {
+        const hasPrice = service.price_from || service.price_to;
+
+        return Seo.compact({
+            '@context': 'https://schema.org',
+            '@type': 'Service',
+            name: service.title,
+            description: service.description,
+            url: Seo.absolute(url, siteUrl),
+            provider: { '@id': Seo.organizationId(siteUrl) },
+            offers: hasPrice ? Seo.compact({
+                '@type': 'AggregateOffer',
+                priceCurrency: 'RUB',
+                lowPrice: service.price_from,
+                highPrice: service.price_to
+            }) : undefined
+        });
+    },
+
+    faq(items) {
+        const questions = (items || []).filter(item => item && item.question && item.answer);
+        if (!questions.length) {
+            return null;
+        }
+
+        return {
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            mainEntity: questions.map(item => ({
+                '@type': 'Question',
+                name: item.question,
+                acceptedAnswer: { '@type': 'Answer', text: Seo.plainText(item.answer) }
+            }))
+        };
+    },
+
+    // trail: [{ name, url }] from the homepage down to the current page
+    breadcrumbs(trail, siteUrl) {
+        return {
+            '@context': 'https://schema.org',
+            '@type': 'BreadcrumbList',
+            itemListElement: trail.map((crumb, index) => ({
+                '@type': 'ListItem',
+                position: index + 1,
+                name: crumb.name,
+                item: Seo.absolute(crumb.url, siteUrl)
+            }))
+        };
+    },
+
+    // Drops empty values so the output has no "key": undefined or []
+    compact(object) {
+        return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+            value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && !value.length)
+        ));
+    },
+
+    // Everything a content page needs: { title, description, url, meta, jsonLd }
+    forItem(loader, item, settings) {
+        const siteUrl = settings.site_url || '';
+        const siteTitle = settings.site_title || 'АСБ РУМ ПРО';
+        const url = loader.getItemUrl(item.collection, item.slug);
+        const title = item.seo_title || `${item.title} - ${siteTitle}`;
+        const description = item.seo_description || item.description || settings.site_description || '';
+        const image = item.image
+            || (item.before_after && item.before_after.after)
+            || Seo.firstImage(item.gallery)
+            || settings.og_image;
+
+        const sections = {
+            services: { name: loader.t('breadcrumb.services'), url: loader.getHomeUrl('#services') },
+            portfolio: { name: loader.t('breadcrumb.portfolio'), url: loader.getHomeUrl('#portfolio') }
+        };
+        const trail = [
+            { name: loader.t('breadcrumb.home'), url: loader.getHomeUrl() },
+            sections[item.collection],
+            { name: item.title, url }
+        ].filter(Boolean);
+
+        const jsonLd = [Seo.breadcrumbs(trail, siteUrl)];
+        if (item.collection === 'services') {
+            jsonLd.push(Seo.service(item, { siteUrl, url }), Seo.faq(item.faq));
+        }
+
+        return {
+            title,
+            description,
+            url: Seo.absolute(url, siteUrl),
+            meta: Seo.meta({
+                title,
+                description,
+                url: Seo.absolute(url, siteUrl),
+                image: Seo.absolute(image, siteUrl),
+                type: 'article',
+                siteName: siteTitle,
+                locale: loader.locale
+            }),
+            jsonLd: jsonLd.filter(Boolean)
+        };
+    },
+
+    firstImage(gallery) {
+        const first = (gallery || [])[0];
+        return typeof first === 'string' ? first : first && first.image;
+    },
+
+    // Open Graph and Twitter card tags, marked data-seo so they can be replaced
+    meta({ title, description, url, image, type = 'website', siteName, locale }) {
+        const { html } = Template;
+        const tags = [
+            ['property', 'og:type', type],
+            ['property', 'og:title', title],
+            ['property', 'og:description', description],
+            ['property', 'og:url', url],
+            ['property', 'og:image', image],
+            ['property', 'og:site_name', siteName],
+            ['property', 'og:locale', Seo.ogLocales[locale]],
+            ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+            ['name', 'twitter:title', title],
+            ['name', 'twitter:description', description],
+            ['name', 'twitter:image', image]
+        ];
+
+        return tags
+            .filter(([, , content]) => content)
+            .map(([attribute, key, content]) => html`<meta ${attribute === 'name' ? html`name="${key}"` : html`property="${key}"`} content="${content}" data-seo>`)
+            .join('\n    ');
+    },
+
+    // <script type="application/ld+json">; "<" is escaped so content can't close the tag
+    script(data) {
+        const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+        return `<script type="application/ld+json" data-seo>${json}</script>`;
+    },
+
+    render({ meta = '', jsonLd = [] }) {
+        return [meta, ...jsonLd.map(data => Seo.script(data))].filter(Boolean).join('\n    ');
+    },
+
+    // Runtime pages: replace whatever tags an earlier call added
+    apply(seo, head = document.head) {
+        head.querySelectorAll('[data-seo]').forEach(element => element.remove());
+        head.insertAdjacentHTML('beforeend', Seo.render(seo));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Seo;
+}
@@ -0,0 +1,185 @@
+// HTML templating for CMS content
+// Everything interpolated into html`` is escaped unless it is wrapped in raw()
+// or comes from another html`` template. URLs in href/src attributes are
+// checked against an allowlist of schemes.
+
+class SafeHtml {
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const Template = {
+    // Schemes allowed in links and images; everything else becomes '#'
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+
+    // Tags kept by sanitize() and the attributes allowed on each
+    allowedTags: {
+        a: ['href', 'title'],
+        b: [], blockquote: [], br: [], code: ['class'], del: [], em: [],
+        h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+        hr: [], i: [], img: ['src', 'alt', 'title', 'width', 'height'], li: [],
+        ol: ['start'], p: [], pre: [], s: [], span: [], strong: [], sub: [], sup: [],
+        table: [], tbody: [], td: ['align'], th: ['align'], thead: [], tr: [], u: [], ul: []
+    },
+
+    // Dropped together with everything inside them
+    blockedTags: ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math', 'form'],
+
+    urlAttributes: ['href', 'src', 'action', 'poster'],
+
+    html(strings, ...values) {
+        let result = strings[0];
+
+        values.forEach((value, index) => {
+            const attribute = strings[index].match(/\s([a-z-]+)=["']?$/i);
+            const isUrl = attribute && Template.urlAttributes.includes(attribute[1].toLowerCase());
+
+            result += isUrl && !(value instanceof SafeHtml)
+                ? Template.escape(Template.safeUrl(value))
+                : Template.render(value);
+            result += strings[index + 1];
+        });
+
+        return new SafeHtml(result);
+    },
+
+    // Explicit opt-in for markup that must not be escaped
+    raw(value) {
+        return new SafeHtml(value ?? '');
+    },
+
+    render(value) {
+        if (value === undefined || value === null || value === false) {
+            return '';
+        }
+        if (value instanceof SafeHtml) {
+            return value.toString();
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => Template.render(item)).join('');
+        }
+        return Template.escape(value);
+    },
+
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    decodeEntities(value) {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+        return String(value).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+            }
+            return named[entity.toLowerCase()] ?? match;
+        });
+    },
+
+    safeUrl(value) {
+        if (value === undefined || value === null) {
+            return '#';
+        }
+
+        const url = Template.decodeEntities(value).replace(/[\u0000-\u0020\u007f]/g, '');
+        const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+
+        if (scheme && !Template.allowedSchemes.includes(scheme[1].toLowerCase())) {
+            return '#';
+        }
+        return String(value).trim();
+    },
+
+    // Allowlist sanitizer for Markdown output. Works on the string directly
+    // so the static build produces the same markup as the browser.
+    sanitize(input) {
+        const source = String(input ?? '');
+        const tagPattern = /<!--[\s\S]*?-->|<\/?([a-z][a-z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+        let output = '';
+        let lastIndex = 0;
+        let skipUntil = null;
+        let match;
+
+        while ((match = tagPattern.exec(source)) !== null) {
+            const [token, rawName, attributes] = match;
+            const text = source.slice(lastIndex, match.index);
+            lastIndex = tagPattern.lastIndex;
+
+            if (!skipUntil) {
+                output += text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            }
+
+            if (!rawName) {
+                continue; // comment
+            }
+
+            const name = rawName.toLowerCase();
+            const closing = token[1] === '/';
+
+            if (skipUntil) {
+                if (closing && name === skipUntil) {
+                    skipUntil = null;
+                }
+                continue;
+            }
+
+            if (Template.blockedTags.includes(name)) {
+                if (!closing && !token.endsWith('/>')) {
+                    skipUntil = name;
+                }
+                continue;
+            }
+
+            if (!Object.prototype.hasOwnProperty.call(Template.allowedTags, name)) {
+                continue;
+            }
+
+            output += closing ? `</${name}>` : `<${name}${Template.sanitizeAttributes(name, attributes)}>`;
+        }
+
+        if (!skipUntil) {
+            output += source.slice(lastIndex).replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        }
+
+        return output;
+    },
+
+    sanitizeAttributes(tag, attributes) {
+        const allowed = Template.allowedTags[tag];
+        const attributePattern = /([a-z][a-z0-9-]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/gi;
+        let result = '';
+        let match;
+
+        while ((match = attributePattern.exec(attributes)) !== null) {
+            const name = match[1].toLowerCase();
+            if (!allowed.includes(name)) {
+                continue;
+            }
+
+            let value = Template.decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+            if (Template.urlAttributes.includes(name)) {
+                value = Template.safeUrl(value);
+            }
+            result += ` ${name}="${Template.escape(value)}"`;
+        }
+
+        return result;
+    }
+};
+
+Template.SafeHtml = SafeHtml;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Template;
+}
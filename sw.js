@@ -0,0 +1,190 @@
+// АСБ РУМ ПРО - Service Worker
+// Precaches the page shells, styles, scripts and content so previously
+// visited service and portfolio pages still open offline.
+
+const SHELL_CACHE = 'asb-shell-v16';
+const CONTENT_CACHE = 'asb-content-v1';
+const RUNTIME_CACHE = 'asb-runtime-v1';
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/service.html',
+    '/project.html',
+    '/page.html',
+    '/thanks.html',
+    '/estimate.html',
+    '/src/css/main.css',
+    '/src/js/template.js',
+    '/src/js/bindings.js',
+    '/src/js/i18n.js',
+    '/src/js/vendor/js-yaml.min.js',
+    '/src/js/vendor/marked.min.js',
+    '/src/js/content-cache.js',
+    '/src/js/cms-adapters.js',
+    '/src/js/frontmatter.js',
+    '/src/js/cms-loader.js',
+    '/src/js/seo.js',
+    '/src/js/pricing.js',
+    '/src/js/lead-form.js',
+    '/src/js/carousel.js',
+    '/src/js/portfolio-filter.js',
+    '/src/js/before-after.js',
+    '/src/js/lightbox.js',
+    '/src/js/search.js',
+    '/src/js/analytics.js',
+    '/src/js/animate.js',
+    '/src/js/router.js',
+    '/src/js/detail-page.js',
+    '/src/js/main.js'
+];
+
+// Collections whose manifests list the files to precache
+const CONTENT_COLLECTIONS = ['services', 'portfolio', 'pages', 'reviews', 'team'];
+const CONTENT_FILES = [
+    '/content/settings/global.yml',
+    '/content/settings/calculator.yml',
+    '/content/settings/forms.yml',
+    '/content/settings/analytics.yml',
+    '/content/version.json',
+    '/content/images.json'
+];
+
+// Versioned CDN files safe to serve from cache; other origins pass through
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Pages that render from the query string (?slug=, ?lang=, calculator
+// params); any query string maps to the same shell
+const SHELL_PAGES = ['/', '/index.html', '/service.html', '/project.html', '/page.html', '/estimate.html'];
+
+// Clean URLs the router renders (src/js/router.js): an unvisited one opens
+// its shell offline, which renders from the cached content
+const ROUTE_SHELLS = [
+    [/^(\/[a-z]{2})?\/?$/, '/index.html'],
+    [/^(\/[a-z]{2})?\/services\/[^/]+\/?$/, '/service.html'],
+    [/^(\/[a-z]{2})?\/portfolio\/[^/]+\/?$/, '/project.html'],
+    [/^(\/[a-z]{2})?\/[^/.]+\/?$/, '/page.html']
+];
+
+function shellFor(pathname) {
+    const route = ROUTE_SHELLS.find(([pattern]) => pattern.test(pathname));
+    return route ? route[1] : '/index.html';
+}
+
+async function precacheContent() {
+    const cache = await caches.open(CONTENT_CACHE);
+    const files = [...CONTENT_FILES];
+
+    await Promise.all(CONTENT_COLLECTIONS.map(async collection => {
+        const manifestUrl = `/content/${collection}/index.json`;
+        try {
+            const response = await fetch(manifestUrl, { cache: 'no-store' });
+            if (!response.ok) return;
+
+            await cache.put(manifestUrl, response.clone());
+            const manifest = await response.json();
+            manifest.items.forEach(item => files.push(`/content/${collection}/${item.file}`));
+        } catch (error) {
+            // Offline during install: content gets cached as it is visited
+        }
+    }));
+
+    // One missing file shouldn't fail the whole install
+    await Promise.all(files.map(file => cache.add(file).catch(() => null)));
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        Promise.all([
+            caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+            precacheContent()
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    const current = [SHELL_CACHE, CONTENT_CACHE, RUNTIME_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// CMSLoader posts this when content/version.json changes
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'purge-content') {
+        event.waitUntil(caches.delete(CONTENT_CACHE).then(() => precacheContent()));
+    }
+});
+
+// Network first, cached copy when offline
+async function networkFirst(request, cacheName, matchOptions = {}) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, matchOptions) || await caches.match(request, matchOptions);
+        if (cached) {
+            return cached;
+        }
+        if (request.mode === 'navigate') {
+            return caches.match(shellFor(new URL(request.url).pathname));
+        }
+        throw error;
+    }
+}
+
+// Cache first for versioned CDN files and images
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        if (CDN_HOSTS.includes(url.hostname)) {
+            event.respondWith(cacheFirst(request));
+        }
+        return;
+    }
+
+    if (url.pathname.startsWith('/admin/')) {
+        return;
+    }
+
+    if (url.pathname.startsWith('/content/')) {
+        // A 304 from CMSLoader's revalidation passes through uncached
+        event.respondWith(networkFirst(request, CONTENT_CACHE));
+        return;
+    }
+
+    if (url.pathname.startsWith('/assets/')) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+
+    const ignoreSearch = SHELL_PAGES.includes(url.pathname);
+    event.respondWith(networkFirst(request, RUNTIME_CACHE, { ignoreSearch }));
+});
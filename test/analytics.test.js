@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Analytics } = require('../src/js/analytics.js');
+
+// The browser globals Analytics reads
+function memoryStorage() {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+global.window = { location: { pathname: '/services/remont-kvartir/', search: '' } };
+global.localStorage = memoryStorage();
+
+// A sink that records what reaches it
+function recorder() {
+    const sink = { started: 0, events: [], init() { sink.started++; }, send(event) { sink.events.push(event); } };
+    Analytics.sinks.test = sink;
+    return sink;
+}
+
+test.beforeEach(() => {
+    global.localStorage = memoryStorage();
+});
+
+test('pageContext reads the service or project from either URL style', () => {
+    assert.deepEqual(Analytics.pageContext({ pathname: '/en/services/remont/', search: '' }), { page: '/en/services/remont/', service: 'remont' });
+    assert.deepEqual(Analytics.pageContext({ pathname: '/project.html', search: '?slug=dom&lang=en' }), { page: '/project.html', project: 'dom' });
+    assert.deepEqual(Analytics.pageContext({ pathname: '/', search: '' }), { page: '/' });
+});
+
+test('nothing reaches a sink before consent; queued events follow acceptance', () => {
+    const sink = recorder();
+    const analytics = new Analytics({ sinks: ['test'] });
+
+    analytics.track('calculator_use', { calc_type: 'house' });
+    analytics.start();
+    assert.equal(analytics.needsConsent(), true);
+    assert.equal(sink.started, 0);
+    assert.deepEqual(sink.events, []);
+
+    analytics.setConsent(true);
+    analytics.track('phone_click', { placement: 'nav' });
+
+    assert.equal(sink.started, 1);
+    assert.deepEqual(sink.events.map(event => event.name), ['calculator_use', 'phone_click']);
+    assert.deepEqual(sink.events[0].params, { page: '/services/remont-kvartir/', service: 'remont-kvartir', calc_type: 'house' });
+});
+
+test('declining drops queued events and the answer is remembered', () => {
+    const sink = recorder();
+    const analytics = new Analytics({ sinks: ['test'] });
+
+    analytics.track('lead_submit');
+    analytics.setConsent(false);
+    analytics.track('whatsapp_click');
+
+    const nextPage = new Analytics({ sinks: ['test'] });
+    nextPage.start();
+    nextPage.track('phone_click');
+
+    assert.equal(nextPage.needsConsent(), false);
+    assert.deepEqual(sink.events, []);
+});
+
+test('a new consent version asks again', () => {
+    new Analytics({ sinks: ['test'] }).setConsent(true);
+
+    assert.equal(new Analytics({ sinks: ['test'] }).getConsent(), true);
+    assert.equal(new Analytics({ sinks: ['test'], consent_version: 2 }).getConsent(), null);
+});
+
+test('listeners see every event whatever the consent', () => {
+    const analytics = new Analytics({ sinks: ['test'] });
+    const seen = [];
+    analytics.on('*', event => seen.push(event.name));
+    const off = analytics.on('lead_submit', () => seen.push('lead listener'));
+
+    analytics.track('lead_submit');
+    off();
+    analytics.track('lead_submit');
+
+    assert.deepEqual(seen, ['lead listener', 'lead_submit', 'lead_submit']);
+});
+
+test('without configured sinks there is nothing to ask about', () => {
+    assert.equal(new Analytics().needsConsent(), false);
+    assert.equal(new Analytics({ debug: true }).needsConsent(), true);
+});
+
+test('withdrawing consent stops the sinks and reloads when one keeps running', t => {
+    const reload = t.mock.method(Analytics, 'reload', () => {});
+    const sink = recorder();
+    const analytics = new Analytics({ sinks: ['test'] });
+
+    analytics.setConsent(true);
+    analytics.setConsent(false);
+    analytics.track('phone_click');
+    assert.equal(reload.mock.callCount(), 0);
+    assert.deepEqual(sink.events, []);
+
+    let stopped = 0;
+    sink.stop = () => {
+        stopped++;
+        return true;
+    };
+    analytics.setConsent(true);
+    analytics.setConsent(false);
+    assert.equal(stopped, 1);
+    assert.equal(reload.mock.callCount(), 1);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Animate = require('../src/js/animate.js');
+
+// Just enough DOM for scan(): elements with dataset, classList and children
+function element(dataset = {}, children = []) {
+    const classes = new Set();
+    return {
+        nodeType: 1,
+        dataset,
+        textContent: '0',
+        classList: { add: name => classes.add(name), contains: name => classes.has(name) },
+        matches: () => 'animate' in dataset,
+        querySelectorAll: () => children.flatMap(child => Animate.find(child))
+    };
+}
+
+test('keyframe turns GSAP-style start states into Web Animations frames', () => {
+    assert.deepEqual(Animate.keyframe(Animate.presets['fade-up']), { opacity: 0, transform: 'translate(0px, 30px)' });
+    assert.deepEqual(Animate.keyframe(Animate.presets['zoom-in']), { opacity: 0, transform: 'scale(0.9)' });
+    assert.deepEqual(Animate.keyframe(Animate.presets.fade), { opacity: 0, transform: 'none' });
+});
+
+test('without an observer elements are shown at once and counters end on their target, once', () => {
+    const counter = element({ animate: 'counter', target: '150', suffix: '+' });
+    const card = element({ animate: 'fade-up' });
+    const grid = element({}, [card, element({}, [counter])]);
+
+    Animate.scan(grid);
+    assert.equal(card.classList.contains(Animate.doneClass), true);
+    assert.equal(counter.textContent, '150+');
+
+    // Picked up again, e.g. by the MutationObserver: left alone
+    counter.textContent = '150 000 м²';
+    Animate.scan(grid);
+    assert.equal(counter.textContent, '150 000 м²');
+});
+
+test('counterText eases toward the target and keeps the suffix', () => {
+    const counter = element({ animate: 'counter', target: '35', suffix: ' 000 м²' });
+    assert.equal(Animate.counterText(counter, 0), '0 000 м²');
+    assert.equal(Animate.counterText(counter, 0.5), '17 000 м²');
+    assert.equal(Animate.counterText(counter, 1), '35 000 м²');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Bindings } = require('../scripts/lib/node-loader');
+
+const settings = { phone: '8 (967) 739-71-17', whatsapp: '+79677397117', email: 'info@asb-roompro.ru', vk: 'https://vk.com/robert_gareev/' };
+
+test('phone formatters accept any way of writing a Russian number', () => {
+    assert.equal(Bindings.formatters.phone('89677397117'), '+7 (967) 739-71-17');
+    assert.equal(Bindings.formatters.tel('+7 967 739 71 17'), 'tel:+79677397117');
+    assert.equal(Bindings.formatters.whatsapp('8 967 739-71-17'), 'https://wa.me/79677397117');
+    assert.equal(Bindings.formatters.whatsapp('https://wa.me/79677397117?text=hi'), 'https://wa.me/79677397117?text=hi');
+    assert.equal(Bindings.formatters.phone('112'), '112');
+});
+
+test('evaluate resolves paths and chains formatters', () => {
+    assert.equal(Bindings.evaluate('settings.email|mailto', { settings }), 'mailto:info@asb-roompro.ru');
+    assert.equal(Bindings.evaluate('settings.vk|host', { settings }), 'vk.com/robert_gareev');
+    assert.equal(Bindings.evaluate('settings.missing.deep', { settings }), '');
+});
+
+test('interpolate returns null when a placeholder is empty', () => {
+    assert.equal(Bindings.interpolate('tel:{settings.whatsapp}', { settings }), 'tel:+79677397117');
+    assert.equal(Bindings.interpolate('{settings.instagram}', { settings }), null);
+});
+
+test('renderHtml fills text and attributes and hides empty blocks', () => {
+    const html = [
+        '<a href="tel:000" data-cms-href="{settings.phone|tel}" data-cms="settings.phone|phone">old</a>',
+        '<div class="contact-item" data-cms-if="settings.instagram"><a href="#">IG</a></div>',
+        '<a class="nav-logo" data-cms="settings.site_title">АСБ <span>РУМ</span> ПРО</a>'
+    ].join('\n');
+    const [phone, instagram, logo] = Bindings.renderHtml(html, { settings }).split('\n');
+
+    assert.equal(phone, '<a href="tel:+79677397117" data-cms-href="{settings.phone|tel}" data-cms="settings.phone|phone">+7 (967) 739-71-17</a>');
+    assert.match(instagram, /data-cms-if="settings.instagram" hidden>/);
+    // Empty values keep the fallback markup
+    assert.equal(logo, '<a class="nav-logo" data-cms="settings.site_title">АСБ <span>РУМ</span> ПРО</a>');
+});
+
+test('renderHtml shows blocks hidden by default once their value is set, like apply()', () => {
+    const html = [
+        '<div class="contact-item" data-cms-if="settings.email" hidden><a href="#">Email</a></div>',
+        '<p data-cms-if="settings.vk" hidden="" class="vk">VK</p>',
+        '<p data-cms-if="settings.instagram" hidden>IG</p>'
+    ].join('\n');
+    const [email, vk, instagram] = Bindings.renderHtml(html, { settings }).split('\n');
+
+    assert.equal(email, '<div class="contact-item" data-cms-if="settings.email"><a href="#">Email</a></div>');
+    assert.equal(vk, '<p data-cms-if="settings.vk" class="vk">VK</p>');
+    assert.equal(instagram, '<p data-cms-if="settings.instagram" hidden>IG</p>');
+});
+
+test('renderHtml escapes values', () => {
+    const html = Bindings.renderHtml('<p data-cms="settings.site_title"></p>', { settings: { site_title: '<b>A&B</b>' } });
+
+    assert.equal(html, '<p data-cms="settings.site_title">&lt;b&gt;A&amp;B&lt;/b&gt;</p>');
+});
+
+test('bound URLs with unsafe schemes become #', () => {
+    const unsafe = { settings: { vk: 'javascript:alert(document.cookie)', site_url: ' JaVaScRiPt:alert(1)' } };
+
+    const html = Bindings.renderHtml('<a href="https://vk.com/" data-cms-href="{settings.vk}" data-cms-title="{settings.vk}">VK</a>', unsafe);
+    assert.equal(html, '<a href="#" data-cms-href="{settings.vk}" data-cms-title="{settings.vk}" title="javascript:alert(document.cookie)">VK</a>');
+
+    // A bare element for apply(), which only uses these DOM methods
+    const attributes = { 'data-cms-href': '{settings.site_url}', 'data-cms-formaction': '{settings.vk}' };
+    const element = {
+        getAttributeNames: () => Object.keys(attributes),
+        hasAttribute: name => name in attributes,
+        getAttribute: name => attributes[name],
+        setAttribute: (name, value) => { attributes[name] = value; }
+    };
+    Bindings.apply({ querySelectorAll: () => [element] }, unsafe);
+
+    assert.equal(attributes.href, '#');
+    assert.equal(attributes.formaction, '#');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { HttpFetcher, FsFetcher, CMSParsers } = require('../src/js/cms-adapters.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+test('FsFetcher reads files relative to its root', async () => {
+    const fetcher = new FsFetcher(FIXTURES);
+
+    assert.match(await fetcher.fetch('/content/settings/global.yml'), /site_title/);
+    assert.equal(await fetcher.fetch('/content/settings/missing.yml'), null);
+});
+
+test('FsFetcher lists directories and returns [] for missing ones', async () => {
+    const fetcher = new FsFetcher(FIXTURES);
+
+    assert.deepEqual((await fetcher.list('/content/services/')).sort(), ['arhiv.md', 'proekt.md', 'remont.md']);
+    assert.deepEqual(await fetcher.list('/content/nothing/'), []);
+});
+
+test('CMSParsers load the bundled YAML and Markdown parsers', () => {
+    assert.deepEqual(CMSParsers.yaml('phone: "+7"\nlist:\n  - a\n'), { phone: '+7', list: ['a'] });
+    assert.equal(CMSParsers.markdown('# Заголовок').trim(), '<h1 id="заголовок">Заголовок</h1>');
+});
+
+test('HttpFetcher without a store only reports a new version when it can keep one', async () => {
+    const fetcher = new HttpFetcher({ store: null });
+
+    assert.equal(await fetcher.checkVersion('/content/version.json'), false);
+});
+
+test('HttpFetcher returns null for missing files without logging an error', async t => {
+    t.mock.method(global, 'fetch', async () => ({ ok: false, status: 404 }));
+    const errors = t.mock.method(console, 'error', () => {});
+    const fetcher = new HttpFetcher({ store: null });
+
+    assert.equal(await fetcher.fetch('/content/images.json'), null);
+    assert.equal(errors.mock.callCount(), 0);
+});
+
+test('HttpFetcher drops a cached file deleted on the server and keeps it only when offline', async t => {
+    const ContentCache = require('../src/js/content-cache.js');
+    const store = new ContentCache({ freshTime: 0 });
+    const fetcher = new HttpFetcher({ store });
+
+    store.set('/content/services/old.md', { data: 'cached' });
+    t.mock.method(global, 'fetch', async () => {
+        throw new TypeError('Failed to fetch');
+    });
+    assert.equal(await fetcher.revalidate('/content/services/old.md', store.get('/content/services/old.md')), 'cached');
+
+    global.fetch.mock.mockImplementation(async () => ({ ok: false, status: 404 }));
+    assert.equal(await fetcher.revalidate('/content/services/old.md', store.get('/content/services/old.md')), null);
+    assert.equal(store.get('/content/services/old.md'), null);
+});
@@ -0,0 +1,232 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { CMSLoader, FsFetcher } = require('../scripts/lib/node-loader');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function fixtureLoader(options = {}) {
+    return new CMSLoader({ fetcher: new FsFetcher(FIXTURES), ...options });
+}
+
+// Files keyed by path, for cases that don't need anything on disk
+function memoryFetcher(files) {
+    return {
+        async fetch(filePath) {
+            return files[filePath] ?? null;
+        },
+        async list(dirPath) {
+            return Object.keys(files)
+                .filter(filePath => filePath.startsWith(dirPath))
+                .map(filePath => filePath.slice(dirPath.length));
+        }
+    };
+}
+
+test('parseFrontmatter splits YAML fields from the body', () => {
+    const loader = new CMSLoader({ fetcher: memoryFetcher({}) });
+    const { frontmatter, body, error } = loader.parseFrontmatter('---\ntitle: Дом\nyear: 2024\n---\nТекст\n');
+
+    assert.equal(error, null);
+    assert.deepEqual(frontmatter, { title: 'Дом', year: 2024 });
+    assert.equal(body, 'Текст\n');
+});
+
+test('parseFrontmatter reports files without frontmatter', () => {
+    const loader = new CMSLoader({ fetcher: memoryFetcher({}) });
+    const { frontmatter, error } = loader.parseFrontmatter('Просто текст', 'content/services/a.md');
+
+    assert.deepEqual(frontmatter, {});
+    assert.equal(error.file, 'content/services/a.md');
+    assert.equal(error.line, 1);
+    assert.match(error.message, /Missing frontmatter/);
+});
+
+test('files that fail to parse are skipped and reported once', async () => {
+    const loader = new CMSLoader({
+        fetcher: memoryFetcher({
+            '/content/services/a.md': '---\ntitle: A\n---\n',
+            '/content/services/b.md': '---\ntitle: B\nprice: [1, 2\n---\n'
+        })
+    });
+    const { items } = await loader.query('services');
+    await loader.loadContent('services', 'b');
+
+    assert.deepEqual(items.map(item => item.slug), ['a']);
+    assert.equal(loader.diagnostics.length, 1);
+    assert.equal(loader.diagnostics[0].file, 'content/services/b.md');
+    assert.equal(loader.diagnostics[0].line, 4);
+});
+
+test('parseMarkdown renders with the bundled parser and sanitizes the output', () => {
+    const loader = new CMSLoader({ fetcher: memoryFetcher({}) });
+    const html = loader.parseMarkdown('**Жирный** [ссылка](javascript:alert(1))<script>alert(1)</script>');
+
+    assert.match(html, /<strong>Жирный<\/strong>/);
+    assert.doesNotMatch(html, /javascript:/);
+    assert.doesNotMatch(html, /<script/);
+});
+
+test('custom parsers replace the bundled ones', async () => {
+    const loader = new CMSLoader({
+        fetcher: memoryFetcher({ '/content/services/a.md': '---\ntitle: A\n---\nbody' }),
+        parsers: { yaml: () => ({ title: 'parsed' }), markdown: text => `<p>${text.toUpperCase()}</p>` }
+    });
+    const item = await loader.loadContent('services', 'a');
+
+    assert.equal(item.title, 'parsed');
+    assert.equal(item.body, '<p>BODY</p>');
+});
+
+test('loadContent returns null for missing entries', async () => {
+    const loader = fixtureLoader();
+
+    assert.equal(await loader.loadContent('services', 'net-takoy'), null);
+});
+
+test('query skips inactive entries and applies the default sort', async () => {
+    const loader = fixtureLoader();
+    const { items, total } = await loader.query('services');
+
+    assert.equal(total, 2);
+    assert.deepEqual(items.map(item => item.slug), ['proekt', 'remont']);
+});
+
+test('query filters with where operators and paginates', async () => {
+    const loader = fixtureLoader();
+
+    const priced = await loader.query('services', { where: { price_from: { exists: true } } });
+    assert.deepEqual(priced.items.map(item => item.slug), ['remont']);
+
+    const page = await loader.query('services', { sort: ['-order'], limit: 1, offset: 1 });
+    assert.deepEqual(page.items.map(item => item.slug), ['proekt']);
+    assert.equal(page.total, 2);
+});
+
+test('translations override text and keep untranslated fields', async () => {
+    const loader = fixtureLoader({ locale: 'en' });
+    const item = await loader.loadContent('services', 'remont');
+
+    assert.equal(item.locale, 'en');
+    assert.equal(item.title, 'Apartment renovation');
+    assert.equal(item.price_from, 5000);
+    assert.equal(item.description, 'Ремонт под ключ');
+    assert.deepEqual(item.faq, [{ id: 'srok', question: 'How long does it take?', answer: 'От месяца' }]);
+    assert.match(item.body, /<strong>any<\/strong>/);
+});
+
+test('entries without a translation fall back to the default locale', async () => {
+    const loader = fixtureLoader({ locale: 'en' });
+    const item = await loader.loadContent('services', 'proekt');
+
+    assert.equal(item.locale, 'ru');
+    assert.equal(item.title, 'Проектирование');
+});
+
+test('loadSettings merges the locale override', async () => {
+    assert.equal((await fixtureLoader().loadSettings()).address, 'г. Уфа');
+
+    const settings = await fixtureLoader({ locale: 'en' }).loadSettings();
+    assert.equal(settings.address, 'Ufa');
+    assert.equal(settings.phone, '+79677397117');
+});
+
+test('getItemUrl builds query and pretty URLs per locale', () => {
+    assert.equal(fixtureLoader().getItemUrl('services', 'remont'), '/service.html?slug=remont');
+    assert.equal(fixtureLoader({ locale: 'en' }).getItemUrl('portfolio', 'dom'), '/project.html?slug=dom&lang=en');
+    assert.equal(fixtureLoader({ prettyUrls: true }).getItemUrl('services', 'remont'), '/services/remont/');
+    assert.equal(fixtureLoader({ prettyUrls: true, locale: 'en' }).getItemUrl('pages', 'garantii'), '/en/garantii/');
+});
+
+test('init works without a browser', async () => {
+    const loader = fixtureLoader();
+    await loader.init();
+
+    assert.equal((await loader.loadContent('services', 'remont')).title, 'Ремонт квартир');
+});
+
+test('images in the manifest render as <picture> with their size and placeholder', async () => {
+    const manifest = {
+        '/assets/images/dom.jpg': {
+            width: 1200,
+            height: 800,
+            placeholder: 'data:image/webp;base64,AAAA',
+            sources: [
+                { type: 'image/avif', srcset: '/assets/images/responsive/dom-1-480.avif 480w' },
+                { type: 'image/webp', srcset: '/assets/images/responsive/dom-1-480.webp 480w' }
+            ]
+        }
+    };
+    const loader = new CMSLoader({ fetcher: memoryFetcher({ '/content/images.json': JSON.stringify(manifest) }) });
+    await loader.init();
+
+    const picture = String(loader.createImage('/assets/images/dom.jpg', { alt: 'Дом', sizes: '50vw' }));
+    assert.match(picture, /^<picture><source type="image\/avif" srcset="[^"]+480w" sizes="50vw"><source type="image\/webp"/);
+    assert.match(picture, /<img src="\/assets\/images\/dom\.jpg" alt="Дом" loading="lazy"\s+width="1200" height="800" style="background: url\('data:image\/webp;base64,AAAA'\)/);
+    assert.equal(loader.getSrcset('/assets/images/dom.jpg'), '/assets/images/responsive/dom-1-480.webp 480w');
+
+    // Not in the manifest: a plain <img>
+    assert.equal(String(loader.createImage('/assets/images/new.jpg', { alt: 'Новое' })), '<img src="/assets/images/new.jpg" alt="Новое" loading="lazy">');
+});
+
+test('portfolio items without a photo show the placeholder image', () => {
+    const item = String(fixtureLoader().createPortfolioItem({ slug: 'dom', title: 'Дом' }));
+    assert.match(item, /<img src="\/assets\/images\/placeholder\.jpg" alt="Дом" class="portfolio-img"/);
+});
+
+function relatedLoader() {
+    return new CMSLoader({
+        fetcher: memoryFetcher({
+            '/content/services/stroitelstvo.md': '---\ntitle: Строительство\n---\n',
+            '/content/services/remont.md': '---\ntitle: Ремонт\n---\n',
+            '/content/services/arhiv.md': '---\ntitle: Архив\nactive: false\n---\n',
+            '/content/portfolio/dom.md': '---\ntitle: Дом\nyear: 2023\nservices: [remont, stroitelstvo]\n---\n',
+            '/content/portfolio/kottedzh.md': '---\ntitle: Коттедж\nyear: 2024\nservices: [stroitelstvo, snos, arhiv]\n---\n',
+            '/content/portfolio/kvartira.md': '---\ntitle: Квартира\nyear: 2022\n---\n'
+        })
+    });
+}
+
+test('getRelated follows relation fields both ways and skips missing entries', async () => {
+    const loader = relatedLoader();
+    const slugs = items => items.map(item => `${item.collection}:${item.slug}`);
+
+    assert.deepEqual(slugs(await loader.getRelated('services', 'stroitelstvo')), ['portfolio:kottedzh', 'portfolio:dom']);
+    assert.deepEqual(slugs(await loader.getRelated('portfolio', 'dom')), ['services:remont', 'services:stroitelstvo']);
+    assert.deepEqual(slugs(await loader.getRelated('portfolio', 'kottedzh')), ['services:stroitelstvo']);
+    assert.deepEqual(await loader.getRelated('portfolio', 'kvartira'), []);
+    assert.deepEqual(await loader.getRelated('services', 'arhiv'), []);
+});
+
+test('references to entries that do not exist are reported', async () => {
+    const issues = await relatedLoader().findDanglingReferences();
+    assert.deepEqual(issues, [
+        { file: 'content/portfolio/kottedzh.md', field: 'services[1]', message: 'No services entry "snos"', severity: 'warning' }
+    ]);
+});
+
+test('detail pages link related services and projects', async () => {
+    const loader = relatedLoader();
+    const service = await loader.loadContent('services', 'stroitelstvo');
+    const project = await loader.loadContent('portfolio', 'dom');
+
+    const serviceHtml = String(loader.createServiceDetail(service, await loader.getRelated('services', 'stroitelstvo')));
+    assert.match(serviceHtml, /<h3>Наши работы<\/h3>/);
+    assert.equal(serviceHtml.match(/class="portfolio-item"/g).length, 2);
+
+    const projectHtml = String(loader.createProjectDetail(project, await loader.getRelated('portfolio', 'dom')));
+    assert.match(projectHtml, /<h3>Выполненные услуги<\/h3>/);
+    assert.match(projectHtml, /<a href="\/service\.html\?slug=remont">Ремонт<\/a>/);
+
+    assert.doesNotMatch(String(loader.createProjectDetail(project)), /project-services/);
+});
+
+test('project pages fall back to the legacy category and area like the cards', () => {
+    const loader = fixtureLoader();
+    const project = { slug: 'dom', title: 'Дом', category: 'Строительство', area: 120, body: '' };
+
+    const detail = String(loader.createProjectDetail(project));
+    assert.match(detail, /<span class="project-type">Строительство<\/span>/);
+    assert.match(detail, /<span class="project-area">120 м²<\/span>/);
+    assert.match(String(loader.createPortfolioItem(project)), /<span class="portfolio-category">Строительство<\/span>/);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CMSLoader, Template } = require('../scripts/lib/node-loader');
+const CMSPreview = require('../src/js/cms-preview.js');
+
+// The parts of Decap's Immutable entry the previews read
+function entry(data, slug = 'remont') {
+    return {
+        get: key => (key === 'data' ? { toJS: () => data } : slug)
+    };
+}
+
+const getAsset = path => ({ toString: () => `blob:preview${path}` });
+
+test('previews render with the same markup as the site', () => {
+    const loader = new CMSLoader({ fetcher: {} });
+    const item = CMSPreview.toItem(loader, 'services', entry({ title: 'Ремонт', description: 'Под ключ', price_from: 5000, body: '**Текст**' }), getAsset);
+    const html = String(CMSPreview.templates.services(loader, item));
+
+    assert.equal(item.body, loader.parseMarkdown('**Текст**'));
+    assert.ok(html.includes(String(loader.createServiceCard(item))));
+    assert.ok(html.includes(String(loader.createServiceDetail(item))));
+});
+
+test('media paths go through getAsset and dates become Date objects', () => {
+    const loader = new CMSLoader({ fetcher: {} });
+    const item = CMSPreview.toItem(loader, 'portfolio', entry({
+        title: 'Дом',
+        gallery: ['/assets/images/a.jpg', { image: '/assets/images/b.jpg', caption: 'Кухня' }],
+        before_after: { before: '/assets/images/c.jpg', after: '/assets/images/d.jpg' },
+        testimonial: { author: 'Анна', date: '2024-05-01' }
+    }, 'dom'), getAsset);
+
+    assert.deepEqual(item.gallery, ['blob:preview/assets/images/a.jpg', { image: 'blob:preview/assets/images/b.jpg', caption: 'Кухня' }]);
+    assert.equal(item.before_after.after, 'blob:preview/assets/images/d.jpg');
+    assert.ok(item.testimonial.date instanceof Date);
+    assert.equal(item.slug, 'dom');
+});
+
+test('register adds a template per collection and locale', () => {
+    const registered = { styles: [], templates: [] };
+    const CMS = {
+        registerPreviewStyle: style => registered.styles.push(style),
+        registerPreviewTemplate: name => registered.templates.push(name)
+    };
+    const allowedSchemes = Template.allowedSchemes;
+    global.CMSLoader = CMSLoader;
+
+    try {
+        CMSPreview.register(CMS, { createClass: spec => spec, h: () => null });
+        assert.ok(Template.allowedSchemes.includes('blob'));
+    } finally {
+        Template.allowedSchemes = allowedSchemes;
+        delete global.CMSLoader;
+    }
+
+    assert.ok(registered.styles.includes('/src/css/main.css'));
+    assert.deepEqual(registered.templates.sort(), ['pages', 'pages_en', 'portfolio', 'portfolio_en', 'reviews', 'reviews_en', 'services', 'services_en']);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Frontmatter = require('../src/js/frontmatter.js');
+const { CMSParsers } = require('../src/js/cms-adapters.js');
+
+const parse = (content, file = 'content/services/a.md') => Frontmatter.parse(content, { file, yaml: CMSParsers.yaml });
+
+test('BOM and CRLF line endings are accepted', () => {
+    const { frontmatter, body, error } = parse('\uFEFF---\r\ntitle: Дом\r\n---\r\nТекст\r\n');
+
+    assert.equal(error, null);
+    assert.deepEqual(frontmatter, { title: 'Дом' });
+    assert.equal(body, 'Текст\n');
+});
+
+test('an empty body and empty frontmatter are valid', () => {
+    assert.deepEqual(parse('---\ntitle: A\n---'), { frontmatter: { title: 'A' }, body: '', format: 'yaml', error: null });
+    assert.deepEqual(parse('---\n---\n').frontmatter, {});
+});
+
+test('TOML frontmatter between +++', () => {
+    const { frontmatter, format } = parse([
+        '+++',
+        'title = "Ремонт"',
+        'tags = ["кухня", "ванная"]',
+        '[seo]',
+        'noindex = true',
+        '[[faq]]',
+        'question = "Сроки?"',
+        '+++',
+        'Текст'
+    ].join('\n'));
+
+    assert.equal(format, 'toml');
+    assert.deepEqual(frontmatter, {
+        title: 'Ремонт',
+        tags: ['кухня', 'ванная'],
+        seo: { noindex: true },
+        faq: [{ question: 'Сроки?' }]
+    });
+});
+
+test('JSON frontmatter as a bare object or after ---json', () => {
+    assert.deepEqual(parse('{\n  "title": "A"\n}\nТекст').frontmatter, { title: 'A' });
+    assert.deepEqual(parse('---json\n{"order": 2}\n---\n').frontmatter, { order: 2 });
+});
+
+test('errors point at the line and column in the original file', () => {
+    const yaml = parse('---\ntitle: A\n  bad: indent\n---\n').error;
+    assert.equal(yaml.file, 'content/services/a.md');
+    assert.equal(yaml.line, 3);
+    assert.ok(yaml.column > 0);
+
+    const toml = parse('+++\ntitle = "A"\ntitle = "B"\n+++\n').error;
+    assert.equal(toml.line, 3);
+
+    const unclosed = parse('---\ntitle: A\n').error;
+    assert.equal(unclosed.line, 1);
+    assert.match(unclosed.message, /never closed/);
+});
+
+test('frontmatter that is not an object is an error', () => {
+    assert.match(parse('---\n- a\n- b\n---\n').error.message, /set of fields/);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { I18n, Seo, createLoader } = require('../scripts/lib/node-loader');
+
+// Russian strings the markup doesn't carry fall back to the key itself in other locales
+test('every Russian UI string has a translation', () => {
+    const { ru, ...others } = I18n.dictionaries;
+
+    Object.entries(others).forEach(([locale, dictionary]) => {
+        const missing = Object.keys(ru).filter(key => !(key in dictionary));
+        assert.deepEqual(missing, [], `missing in ${locale}`);
+    });
+});
+
+test('English pages get English breadcrumbs', () => {
+    const loader = createLoader({ prettyUrls: true, locale: 'en' });
+    const { jsonLd } = Seo.forItem(loader, { collection: 'services', slug: 'remont', title: 'Renovation' }, { site_url: 'https://example.ru' });
+    const names = jsonLd[0].itemListElement.map(item => item.name);
+
+    assert.deepEqual(names, ['Home', 'Services', 'Renovation']);
+});
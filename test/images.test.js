@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CMSLoader } = require('../scripts/lib/node-loader');
+const { writeImages, widthsFor, MANIFEST_PATH } = require('../scripts/images.js');
+
+test('variants are never wider than the original', () => {
+    assert.deepEqual(widthsFor(4000), [480, 960, 1600]);
+    assert.deepEqual(widthsFor(1200), [480, 960, 1200]);
+    assert.deepEqual(widthsFor(960), [480, 960]);
+    assert.deepEqual(widthsFor(300), [300]);
+});
+
+test('the manifest lists srcsets and a placeholder the loader renders', async t => {
+    const sharp = require('sharp');
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'asb-images-'));
+    t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+    const mediaDir = path.join(tmp, 'media');
+    const outDir = path.join(tmp, 'dist');
+    fs.mkdirSync(path.join(mediaDir, 'doma'), { recursive: true });
+    await sharp({ create: { width: 1200, height: 800, channels: 3, background: '#c9a962' } })
+        .jpeg()
+        .toFile(path.join(mediaDir, 'doma', 'фасад.jpg'));
+
+    const { manifest } = await writeImages(outDir, { mediaDir, publicFolder: '/assets/images' });
+    const entry = manifest['/assets/images/doma/фасад.jpg'];
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(outDir, MANIFEST_PATH), 'utf8')), manifest);
+    assert.equal(entry.width, 1200);
+    assert.equal(entry.height, 800);
+    assert.match(entry.placeholder, /^data:image\/webp;base64,/);
+    assert.deepEqual(entry.sources.map(source => source.type), ['image/avif', 'image/webp']);
+
+    const webp = entry.sources[1].srcset.split(', ');
+    assert.deepEqual(webp.map(candidate => candidate.split(' ')[1]), ['480w', '960w', '1200w']);
+    webp.forEach(candidate => {
+        const url = candidate.split(' ')[0];
+        assert.match(url, /^\/assets\/images\/responsive\/doma\/%D1%84[^/]+-[0-9a-f]{8}-\d+\.webp$/);
+        assert.ok(fs.existsSync(path.join(outDir, decodeURI(url))), url);
+    });
+
+    const loader = new CMSLoader({ fetcher: { fetch: async () => null, list: async () => [] }, images: manifest });
+    const picture = String(loader.createImage('/assets/images/doma/фасад.jpg', { alt: 'Фасад' }));
+    assert.equal(loader.getSrcset('/assets/images/doma/фасад.jpg'), entry.sources[1].srcset);
+    assert.match(picture, /<source type="image\/avif" srcset="[^"]+1200w" sizes="100vw">/);
+    assert.ok(picture.includes(`width="1200" height="800" style="background: url('${entry.placeholder}') center / cover"`));
+});
+
+test('without a manifest images render as plain <img> and nothing is logged', async t => {
+    const warnings = t.mock.method(console, 'warn', () => {});
+    const loader = new CMSLoader({ fetcher: { fetch: async () => null, list: async () => [] } });
+
+    assert.deepEqual(await loader.loadImages(), {});
+    assert.equal(warnings.mock.callCount(), 0);
+    assert.equal(loader.getSrcset('/assets/images/dom.jpg'), '');
+    assert.equal(String(loader.createImage('/assets/images/dom.jpg', { alt: 'Дом' })), '<img src="/assets/images/dom.jpg" alt="Дом" loading="lazy">');
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LeadForm = require('../src/js/lead-form.js');
+
+// send() without the DOM the constructor wires up
+function sender(settings) {
+    const form = Object.create(LeadForm.prototype);
+    form.settings = { ...LeadForm.defaults, ...settings };
+    return form;
+}
+
+test('only network failures are marked offline and queued', async () => {
+    global.fetch = async () => {
+        throw new TypeError('Failed to fetch');
+    };
+    await assert.rejects(sender({ provider: 'webhook', endpoint: '/hook' }).send({ phone: '+79677397117' }), error => error.offline === true);
+
+    global.fetch = async () => ({ ok: false, status: 422 });
+    await assert.rejects(sender({ provider: 'webhook', endpoint: '/hook' }).send({}), error => !error.offline && /422/.test(error.message));
+});
+
+test('a missing endpoint is a config error, not a network failure', async () => {
+    global.fetch = async () => ({ ok: true });
+    await assert.rejects(sender({ provider: 'formspree', endpoint: null }).send({}), error => !error.offline && /needs an endpoint/.test(error.message));
+    await sender({ provider: 'netlify', endpoint: '' }).send({ name: 'Иван' });
+});
+
+test('clearing a field removes its own error, not a sibling\'s', () => {
+    const removed = [];
+    const fakeError = id => ({ id, remove: () => removed.push(id) });
+    const errors = { '#name-error': fakeError('name-error'), '#phone-error': fakeError('phone-error') };
+    const field = {
+        attributes: { 'aria-invalid': 'true', 'aria-describedby': 'phone-error' },
+        getAttribute(name) { return this.attributes[name] ?? null; },
+        removeAttribute(name) { delete this.attributes[name]; }
+    };
+
+    const form = Object.create(LeadForm.prototype);
+    form.form = { querySelector: selector => errors[selector] || null };
+    form.clearError(field);
+
+    assert.deepEqual(removed, ['phone-error']);
+    assert.deepEqual(field.attributes, {});
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../scripts/lib/node-loader');
+const PricingEngine = require('../src/js/pricing.js');
+
+const amounts = estimate => Object.fromEntries(estimate.items.map(item => [item.id, item.amount]));
+
+test('totals add the base rate, the finish and add-ons', () => {
+    const engine = new PricingEngine();
+    const estimate = engine.calculate({ type: 'квартира', finish: 'стандарт', area: 100, addons: ['demolition'] });
+
+    assert.deepEqual(amounts(estimate), { base: 1200000, finish: 600000, demolition: 80000 });
+    assert.equal(estimate.total, 1880000);
+    assert.equal(estimate.perSqm, 18800);
+    assert.deepEqual(estimate.addons, ['demolition']);
+    assert.equal(estimate.currency, '₽');
+});
+
+test('finishes without a markup add no line; premium multiplies the base', () => {
+    const engine = new PricingEngine();
+
+    assert.deepEqual(amounts(engine.calculate({ type: 'дом', finish: 'эконом', area: 100 })), { base: 1500000 });
+    assert.deepEqual(amounts(engine.calculate({ type: 'дом', finish: 'премиум', area: 100 })), { base: 1500000, finish: 2250000 });
+});
+
+test('each line is rounded before the total, and fixed add-ons ignore the area', () => {
+    const engine = new PricingEngine({
+        types: [{ id: 'test', label: 'Тест', rate: 1234.5 }],
+        finishes: [{ id: 'base', label: 'База', multiplier: 1 }],
+        addons: [
+            { id: 'survey', label: 'Обмер', price_fixed: 5000 },
+            { id: 'primer', label: 'Грунт', price_per_sqm: 0.3 }
+        ]
+    });
+    const estimate = engine.calculate({ type: 'test', finish: 'base', area: 21, addons: ['survey', 'primer'] });
+
+    assert.deepEqual(amounts(estimate), { base: 25925, survey: 5000, primer: 6 });
+    assert.equal(estimate.total, 30931);
+    assert.equal(estimate.perSqm, 1473);
+});
+
+test('the area is clamped and unknown types are refused', () => {
+    const engine = new PricingEngine();
+
+    assert.equal(engine.calculate({ type: 'дом', finish: 'эконом', area: 5 }).area, 20);
+    assert.equal(engine.calculate({ type: 'дом', finish: 'эконом', area: 9000 }).area, 500);
+    assert.equal(engine.calculate({ type: 'дом', finish: 'эконом', area: 'abc' }).area, 100);
+    assert.throws(() => engine.calculate({ type: 'замок', finish: 'эконом', area: 100 }), /Unknown object type/);
+});
+
+test('resolveState matches ids loosely and drops what the config lacks', () => {
+    const engine = new PricingEngine();
+
+    assert.deepEqual(engine.resolveState({ type: ' Дом', finish: 'мрамор', area: 1000, addons: ['design', 'pool'] }), {
+        type: 'дом',
+        finish: 'стандарт',
+        area: 500,
+        addons: ['design']
+    });
+    assert.deepEqual(engine.resolveState(), { type: 'квартира', finish: 'стандарт', area: 100, addons: [] });
+});
+
+test('estimates survive a round trip through the URL', () => {
+    const engine = new PricingEngine();
+    const state = { type: 'коммерция', finish: 'премиум', area: 240, addons: ['design', 'engineering'] };
+    const query = PricingEngine.toParams(state).toString();
+
+    assert.deepEqual(engine.resolveState(PricingEngine.fromParams(query)), state);
+    assert.deepEqual(PricingEngine.fromParams(`?${query}`), state);
+    assert.equal(PricingEngine.fromParams('utm_source=vk'), null);
+});
+
+test('empty type and finish lists from the CMS fall back to the built-in ones', () => {
+    const engine = new PricingEngine({ types: [], finishes: [], addons: [] });
+
+    assert.deepEqual(engine.getDefaults(), { type: 'квартира', finish: 'стандарт', area: 100, addons: [] });
+    assert.deepEqual(engine.config.addons, []);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, I18n } = require('../scripts/lib/node-loader');
+const Router = require('../src/js/router.js');
+const { resolve } = require('../scripts/serve.js');
+
+function matched(url) {
+    const match = Router.match(url);
+    return match && { collection: match.route.collection, slug: match.slug, locale: match.locale };
+}
+
+test('clean URLs map to their collection, slug and locale', () => {
+    assert.deepEqual(matched('/services/remont-kvartir/'), { collection: 'services', slug: 'remont-kvartir', locale: 'ru' });
+    assert.deepEqual(matched('/en/portfolio/dom'), { collection: 'portfolio', slug: 'dom', locale: 'en' });
+    assert.deepEqual(matched('/garantii/#faq'), { collection: 'pages', slug: 'garantii', locale: 'ru' });
+    assert.deepEqual(matched('/en/garantii/'), { collection: 'pages', slug: 'garantii', locale: 'en' });
+});
+
+test('old ?slug= links match their shell', () => {
+    assert.deepEqual(matched('/service.html?slug=remont'), { collection: 'services', slug: 'remont', locale: 'ru' });
+    assert.deepEqual(matched('/project.html?slug=dom&lang=en'), { collection: 'portfolio', slug: 'dom', locale: 'en' });
+    assert.equal(Router.match('/page.html'), null);
+});
+
+test('the homepage, files and site folders are not routes', () => {
+    ['/', '/en/', '/thanks.html', '/admin/', '/services/', '/services/remont/extra', '/sitemap.xml'].forEach(url => {
+        assert.equal(Router.match(url), null, url);
+    });
+});
+
+test('pathLocale reads clean URLs and leaves / and .html pages to ?lang=', () => {
+    assert.equal(I18n.pathLocale('/en/services/remont/'), 'en');
+    assert.equal(I18n.pathLocale('/services/remont/'), 'ru');
+    assert.equal(I18n.pathLocale('/'), null);
+    assert.equal(I18n.pathLocale('/service.html'), null);
+});
+
+test('the dev server sends clean URLs to the router shells and the rest to a 404', () => {
+    const relative = ([file, status]) => [path.relative(ROOT, file), status];
+
+    assert.deepEqual(relative(resolve(ROOT, '/index.html')), ['index.html', 200]);
+    assert.deepEqual(relative(resolve(ROOT, '/en/')), ['index.html', 200]);
+    assert.deepEqual(relative(resolve(ROOT, '/en/services/remont/')), ['service.html', 200]);
+    assert.deepEqual(relative(resolve(ROOT, '/portfolio/dom/')), ['project.html', 200]);
+    assert.deepEqual(relative(resolve(ROOT, '/missing/file.txt')), ['page.html', 404]);
+});
+
+test('rendered galleries are handed to the lightbox so #photo-N links open', () => {
+    const calls = [];
+    const lightbox = { refresh: () => calls.push('refresh'), openFromHash: () => calls.push('openFromHash') };
+    const view = {};
+
+    new Router(null, { view, lightbox }).enhance(view);
+    assert.deepEqual(calls, ['refresh', 'openFromHash']);
+});
+
+test('the router shells contain no template tokens and bind the footer to settings', () => {
+    const Bindings = require('../src/js/bindings.js');
+    const settings = { site_title: 'Тест', vk: '', whatsapp: '+79991234567' };
+
+    ['service.html', 'project.html', 'page.html'].forEach(file => {
+        const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        assert.ok(!html.includes('{{'), file);
+
+        const rendered = Bindings.renderHtml(html, { settings });
+        assert.match(rendered, /<span data-cms="settings.site_title">Тест<\/span>/, file);
+        assert.match(rendered, /aria-label="VK" [^>]*hidden>/, file);
+        assert.match(rendered, /href="https:\/\/wa.me\/79991234567"/, file);
+    });
+});
+
+test('a failed load renders the 404 view instead of rejecting', async t => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const loader = {
+        loadContent: async () => ({ slug: 'remont', title: 'Ремонт' }),
+        getRelated: async () => { throw new Error('offline'); },
+        loadSettings: async () => ({})
+    };
+    const router = new Router(loader, { view: {} });
+    const notFound = [];
+    router.renderNotFound = route => notFound.push(route.collection);
+
+    await router.render('http://localhost/services/remont/');
+    assert.deepEqual(notFound, ['services']);
+    assert.equal(errors.mock.callCount(), 1);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { CMSLoader, FsFetcher, SearchIndex } = require('../scripts/lib/node-loader');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function fixtureIndex(options = {}) {
+    return SearchIndex.build(new CMSLoader({ fetcher: new FsFetcher(FIXTURES), ...options }));
+}
+
+test('Russian word forms share a stem', () => {
+    const stems = words => words.map(word => SearchIndex.stem(word));
+
+    assert.deepEqual(new Set(stems(['газобетон', 'газобетона', 'газобетоном'])).size, 1);
+    assert.deepEqual(new Set(stems(['квартира', 'квартиры', 'квартир'])).size, 1);
+    assert.deepEqual(new Set(stems(['проектирование', 'проектированию'])).size, 1);
+    assert.equal(SearchIndex.stem('houses'), SearchIndex.stem('house'));
+});
+
+test('tokenize lowercases, folds ё and drops stop words', () => {
+    assert.deepEqual(SearchIndex.tokenize('Дом из газобетона, Ёлка!'), ['дом', 'газобетона', 'елка']);
+});
+
+test('search finds other word forms and ranks title matches first', async () => {
+    const index = await fixtureIndex();
+
+    assert.deepEqual(index.search('квартиры').map(result => result.slug), ['remont', 'proekt']);
+    assert.deepEqual(index.search('проекты домов').map(result => result.slug), ['proekt']);
+    assert.deepEqual(index.search('газобетон'), []);
+});
+
+test('the last word matches as a prefix while typing', async () => {
+    const index = await fixtureIndex();
+
+    assert.deepEqual(index.search('проек').map(result => result.slug), ['proekt']);
+    assert.deepEqual(index.search('проек '), []);
+});
+
+test('FAQ answers and inactive entries', async () => {
+    const index = await fixtureIndex();
+
+    assert.deepEqual(index.search('месяц').map(result => result.slug), ['remont']);
+    assert.deepEqual(index.search('архив'), []);
+});
+
+test('an index survives a JSON round trip', async () => {
+    const index = await fixtureIndex({ locale: 'en' });
+    const restored = SearchIndex.fromJSON(JSON.parse(JSON.stringify(index)));
+
+    assert.deepEqual(restored.search('renovation'), index.search('renovation'));
+    assert.equal(restored.search('renovation')[0].url, '/service.html?slug=remont&lang=en');
+});
+
+test('highlight marks matching words and escapes the rest', () => {
+    const html = String(SearchIndex.highlight('<b>Ремонт</b> квартир', 'ремонты'));
+
+    assert.equal(html, '&lt;b&gt;<mark>Ремонт</mark>&lt;/b&gt; квартир');
+});
+
+test('snippet cuts long text around the first match', () => {
+    const text = `${'слово '.repeat(60)}газобетон ${'слово '.repeat(60)}`;
+    const snippet = SearchIndex.snippet(text, 'газобетона', 80);
+
+    assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+    assert.match(snippet, /газобетон/);
+    assert.ok(snippet.length <= 82);
+});
+
+test('a failed index load is retried on the next query', async t => {
+    const { SiteSearch } = require('../src/js/search.js');
+    const index = await fixtureIndex();
+    let attempts = 0;
+    t.mock.method(SearchIndex, 'load', async () => {
+        attempts += 1;
+        if (attempts === 1) {
+            throw new Error('offline');
+        }
+        return index;
+    });
+
+    // load() without the DOM the constructor wires up
+    const search = Object.create(SiteSearch.prototype);
+    search.loader = { ready: Promise.resolve() };
+
+    await assert.rejects(search.load(), /offline/);
+    assert.equal(await search.load(), index);
+    assert.equal(attempts, 2);
+});